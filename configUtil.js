@@ -0,0 +1,45 @@
+"use strict";
+
+const vscode = require("vscode");
+
+/**
+ * Helpers for reading the extension's settings, shared by the host modules. The renderer
+ * (cursorTrail.js) is injected into the workbench on its own and keeps its own copies.
+ */
+
+const isPlainObject = (value) => Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Value set in user/workspace/folder scope, ignoring the contributed default.
+ * `null` is a meaningful explicit value for nullable CFG leaves, so only `undefined` means unset.
+ * @param {import("vscode").WorkspaceConfiguration} config
+ * @param {string} key
+ */
+function explicitValue(config, key) {
+	const info = config.inspect(key);
+	if (!info) return undefined;
+	for (const value of [info.workspaceFolderValue, info.workspaceValue, info.globalValue]) {
+		if (value !== undefined) return value;
+	}
+	return undefined;
+}
+
+/**
+ * Where a command writes `key`: the most specific scope that sets it (workspace folder, then
+ * workspace), else the user settings, so the written value is the one that applies. Folder
+ * values only show when `config` was read for a resource.
+ * @param {vscode.WorkspaceConfiguration} config
+ * @param {string} key
+ */
+function commandSettingTarget(config, key) {
+	const info = config.inspect(key);
+	if (info?.workspaceFolderValue !== undefined) return vscode.ConfigurationTarget.WorkspaceFolder;
+	if (info?.workspaceValue !== undefined) return vscode.ConfigurationTarget.Workspace;
+	return vscode.ConfigurationTarget.Global;
+}
+
+module.exports = {
+	isPlainObject,
+	explicitValue,
+	commandSettingTarget
+};
@@ -1,13 +1,17 @@
 "use strict";
 
 const vscode = require("vscode");
+const inertiaProfiles = require("./inertiaProfiles");
+const inertiaUnits = require("./inertiaUnits");
+const { explicitValue } = require("./configUtil");
 
 /**
  * Inertial cursor math model
  *
  * State:
- * - Velocity v (unitless cursor-speed scalar)
- * - Tick cadence tickMs (milliseconds per tick)
+ * - Velocity v (cursor units per reference tick, REFERENCE_TICK_MS)
+ * - Distance not yet moved, in fractional cursor units
+ * - Tick cadence tickMs (milliseconds between cursor moves)
  *
  * Equations and flow:
  * 1) Start of a new inertia run:
@@ -15,14 +19,22 @@ const vscode = require("vscode");
  * 2) Repeated same-direction impulse key while running:
  *    v = min(maxVelocity, v + impulse)
  * 3) Direction switch impulse while running:
- *    v = max(initialVelocity, 0.1 * v)
- * 4) Per-tick cursor step:
- *    - First tick after run start: step = 2 (forced invariant)
- *    - Later ticks: step = clamp(round(v), 1, maxStepPerTick)
- * 5) Per-tick decay:
- *    v_{k+1} = decay * v_k
- * 6) Stop condition:
- *    stop when v < cutoff
+ *    v = max(initialVelocity, switchDamping * v); distance not yet moved is dropped
+ * 4) Continuous deceleration over real elapsed time t, by decayCurve (see DECAY_CURVES):
+ *    exponential (default): v(t) = v0 * decay^(t / REFERENCE_TICK_MS)
+ * 5) Distance, integrated over the elapsed time since the last update:
+ *    d += integral of min(v(t), maxStepPerTick) dt / REFERENCE_TICK_MS
+ * 6) Cursor moves, one per tick and never two at once:
+ *    - First tick of a run: firstTickStep, taken immediately
+ *    - Later ticks: the whole units of d; the fraction carries over
+ *    - Semantic units (words, paragraphs, ...; see inertiaUnits.js) cost unitStepDistance[unit]
+ *      of d per step, and the first tick moves max(1, round(firstTickStep / unitStepDistance[unit]))
+ * 7) Stop condition:
+ *    integration ends when v drops below cutoff (spring: on reaching its target); the last
+ *    tick moves round(d)
+ *
+ * Glide distance depends only on the physics parameters, not on tickMs or timer jitter:
+ * tickMs only sets how finely the distance is split into moves.
  *
  * Level mapping (for user settings, level in [1, 10]):
  * - t = (level - 1) / 9
@@ -30,15 +42,74 @@ const vscode = require("vscode");
  * - tickMs(level) = round(TICK_MS_MIN + t * (TICK_MS_MAX - TICK_MS_MIN))
  *
  * Tick slowness interpretation:
- * - Higher tick level => larger tickMs => slower update cadence.
+ * - Higher tick level => larger tickMs => fewer, larger cursor moves at the same speed.
+ *
+ * Settings (later wins):
+ * 1) levels for impulse and tickMs, built-in defaults for the rest
+ * 2) the active inertia profile (see inertiaProfiles.js)
+ * 3) explicitly set `velcursor.inertia.*` settings, one per parameter (PHYSICS_PARAMS, LEVEL_PARAMS)
  */
 
 /** @typedef {"up"|"down"|"left"|"right"} Direction */
-/** @typedef {{impulseLevel: number, tickSlowLevel: number, impulse: number, tickMs: number}} InertiaTuning */
+/** @typedef {"level"|"profile"|"setting"} TuningSource */
+/** @typedef {"exponential"|"friction"|"drag"|"spring"} DecayCurve */
+/** @typedef {"character"|"word"|"paragraph"|"block"|"fold"|"symbol"} InertiaUnit */
+/**
+ * Resolved inertia parameters. `impulseFrom`/`tickMsFrom` tell where `impulse`/`tickMs` come
+ * from; `selectMode` is the profile's select mode default (null: none).
+ * @typedef {{
+ *   impulseLevel: number,
+ *   tickSlowLevel: number,
+ *   impulse: number,
+ *   tickMs: number,
+ *   impulseFrom: TuningSource,
+ *   tickMsFrom: TuningSource,
+ *   profile: string,
+ *   selectMode: boolean | null,
+ *   initialVelocity: number,
+ *   maxVelocity: number,
+ *   decay: number,
+ *   cutoff: number,
+ *   maxStepPerTick: number,
+ *   firstTickStep: number,
+ *   switchDamping: number,
+ *   friction: number,
+ *   drag: number,
+ *   decayCurve: DecayCurve,
+ *   unitStepDistance: Record<string, number>
+ * }} InertiaTuning
+ */
+/**
+ * Inertia telemetry snapshot for the trail renderer.
+ * `runs`/`switches` count run starts and direction switches, so a consumer that misses
+ * intermediate snapshots still sees that they happened. Velocity is only re-sent on events;
+ * between them it follows the decay curve (`v * decay^(elapsed / referenceTickMs)` for exponential)
+ * until it drops below `cutoff`; `springRemaining`/`springRate` carry the spring's trajectory.
+ * @typedef {{
+ *   running: boolean,
+ *   dir: Direction|null,
+ *   velocity: number,
+ *   selectMode: boolean,
+ *   runs: number,
+ *   switches: number,
+ *   tickMs: number,
+ *   referenceTickMs: number,
+ *   decay: number,
+ *   cutoff: number,
+ *   maxStepPerTick: number,
+ *   decayCurve: DecayCurve,
+ *   friction: number,
+ *   drag: number,
+ *   springRemaining: number,
+ *   springRate: number
+ * }} InertiaState
+ */
 
 const CONFIG_SECTION = "velcursor";
 const IMPULSE_LEVEL_KEY = "inertiaImpulseLevel";
 const TICK_SLOW_LEVEL_KEY = "inertiaTickSlowLevel";
+// Physics settings live under `velcursor.inertia.<name>`.
+const PHYSICS_KEY_PREFIX = "inertia.";
 
 const LEVEL_MIN = 1;
 const LEVEL_MAX = 10;
@@ -52,12 +123,185 @@ const TICK_MS_MAX = 68;
 const DEFAULT_IMPULSE_LEVEL = 4;
 const DEFAULT_TICK_SLOW_LEVEL = 4;
 
+// Time base of velocity, decay and maxStepPerTick: the default tickMs, so with it the
+// integrator moves about as far per tick as the former fixed-tick model did.
+const REFERENCE_TICK_MS = 32;
+
+/**
+ * Accepted range of each physics setting; see InertiaCursorController#cfg for what they do.
+ * Out-of-range values are clamped, non-numeric ones fall back to `fallback`.
+ * @typedef {{ fallback: number, min: number, max: number, integer?: boolean }} ParamSpec
+ * @type {Record<string, ParamSpec>}
+ */
+const PHYSICS_PARAMS = {
+	initialVelocity: { fallback: 1.1, min: 0.01, max: 64 },
+	maxVelocity: { fallback: 512, min: 1, max: 4096 },
+	decay: { fallback: 0.96, min: 0.01, max: 0.999 },
+	cutoff: { fallback: 0.99, min: 0.01, max: 64 },
+	maxStepPerTick: { fallback: 8, min: 1, max: 256, integer: true },
+	firstTickStep: { fallback: 2, min: 1, max: 256, integer: true },
+	switchDamping: { fallback: 0.1, min: 0, max: 1 },
+	friction: { fallback: 0.12, min: 0.001, max: 16 },
+	drag: { fallback: 0.02, min: 0.0001, max: 4 }
+};
+
+/**
+ * Settings that override a level; null (the default) follows the level.
+ * @type {Record<string, Omit<ParamSpec, "fallback">>}
+ */
+const LEVEL_PARAMS = {
+	impulse: { min: 0.01, max: 64 },
+	tickMs: { min: 4, max: 1000, integer: true }
+};
+
+// Characters and wrapped lines: plain cursorMove steps, one cursor unit each.
+const CHARACTER_UNIT = "character";
+// Glide distance per semantic unit step, by unit (see inertiaUnits.js).
+const UNIT_STEP_DISTANCE_KEY = "unitStepDistance";
+/** @type {Omit<ParamSpec, "fallback">} */
+const UNIT_STEP_DISTANCE_SPEC = { min: 0.25, max: 256 };
+
+const DECAY_CURVE_KEY = "decayCurve";
+const DEFAULT_DECAY_CURVE = "exponential";
+
+/**
+ * Deceleration laws of the free-running curves, with velocity v in cursor units per reference
+ * tick and time tau in reference ticks. Each gives the speed after tau, the uncapped distance
+ * covered in tau, and the time it takes to slow down to v (< v0):
+ * - exponential: v(tau) = v0 * decay^tau
+ * - friction: v(tau) = v0 - friction * tau (constant deceleration, linear slowdown)
+ * - drag: v(tau) = v0 / (1 + drag * v0 * tau) (quadratic drag, dv/dtau = -drag * v^2)
+ *
+ * The fourth curve, spring, is a critically damped approach to the point where the exponential
+ * glide would stop; see springTarget and springGlide.
+ * @typedef {{ decay: number, friction: number, drag: number, cutoff: number, maxStepPerTick: number }} CurveParams
+ * @type {Record<"exponential"|"friction"|"drag", {
+ *   speedAt: (p: CurveParams, v0: number, tau: number) => number,
+ *   distanceIn: (p: CurveParams, v0: number, tau: number) => number,
+ *   timeTo: (p: CurveParams, v0: number, v: number) => number
+ * }>}
+ */
+const FREE_CURVES = {
+	exponential: {
+		speedAt: (p, v0, tau) => v0 * Math.pow(p.decay, tau),
+		distanceIn: (p, v0, tau) => v0 * (1 - Math.pow(p.decay, tau)) / -Math.log(p.decay),
+		timeTo: (p, v0, v) => Math.log(v0 / v) / -Math.log(p.decay)
+	},
+	friction: {
+		speedAt: (p, v0, tau) => v0 - p.friction * tau,
+		distanceIn: (p, v0, tau) => (v0 - 0.5 * p.friction * tau) * tau,
+		timeTo: (p, v0, v) => (v0 - v) / p.friction
+	},
+	drag: {
+		speedAt: (p, v0, tau) => v0 / (1 + p.drag * v0 * tau),
+		distanceIn: (p, v0, tau) => Math.log1p(p.drag * v0 * tau) / p.drag,
+		timeTo: (p, v0, v) => (1 / v - 1 / v0) / p.drag
+	}
+};
+
+/** @type {DecayCurve[]} */
+const DECAY_CURVES = [...Object.keys(FREE_CURVES), "spring"];
+
+// The spring ends once it is this close to its target (the last move rounds onto it).
+const SPRING_SETTLE_UNITS = 0.5;
+
+/**
+ * Glide of a free curve over `tau` reference ticks from velocity v0: speed is capped at
+ * maxStepPerTick and distance stops accumulating once velocity drops below cutoff.
+ * @param {CurveParams} p
+ * @param {"exponential"|"friction"|"drag"} curveName
+ * @param {number} v0
+ * @param {number} tau may be Infinity for the whole glide
+ * @returns {{ velocity: number, distance: number, ended: boolean }}
+ */
+function freeGlide(p, curveName, v0, tau) {
+	const curve = FREE_CURVES[curveName];
+	const { cutoff, maxStepPerTick } = p;
+	const glideTau = v0 > cutoff ? Math.min(tau, curve.timeTo(p, v0, cutoff)) : 0;
+	const cappedTau = v0 > maxStepPerTick ? Math.min(glideTau, curve.timeTo(p, v0, maxStepPerTick)) : 0;
+	const distance = maxStepPerTick * cappedTau +
+		curve.distanceIn(p, curve.speedAt(p, v0, cappedTau), glideTau - cappedTau);
+	const ended = glideTau < tau;
+	return { velocity: ended ? 0 : curve.speedAt(p, v0, tau), distance, ended };
+}
+
+/**
+ * Spring glide over `tau` reference ticks: critically damped motion from remaining distance x
+ * and velocity v at rate w,
+ * x(tau) = (x + (w * x - v) * tau) * e^(-w * tau), v(tau) = (v + w * (w * x - v) * tau) * e^(-w * tau).
+ * Within SPRING_SETTLE_UNITS of the target it lands on it and ends.
+ * @param {number} x
+ * @param {number} v
+ * @param {number} w
+ * @param {number} tau
+ * @returns {{ remaining: number, velocity: number, distance: number, ended: boolean }}
+ */
+function springGlide(x, v, w, tau) {
+	const damping = Math.exp(-w * tau);
+	const remaining = (x + (w * x - v) * tau) * damping;
+	if (remaining <= SPRING_SETTLE_UNITS) return { remaining: 0, velocity: 0, distance: x, ended: true };
+	return { remaining, velocity: (v + w * (w * x - v) * tau) * damping, distance: x - remaining, ended: false };
+}
+
+/**
+ * Spring target for velocity v: the distance the exponential glide from v would cover.
+ * @param {CurveParams} p
+ * @param {number} v
+ */
+function springTarget(p, v) {
+	return freeGlide(p, "exponential", v, Infinity).distance;
+}
+
+/**
+ * Inverse of springTarget: the velocity whose exponential glide covers `distance`. Impulses
+ * and direction switches of a spring run act on this velocity, as they would on an exponential run.
+ * @param {CurveParams & { maxVelocity: number }} p
+ * @param {number} distance
+ */
+function springVelocityFor(p, distance) {
+	let lo = 0;
+	let hi = p.maxVelocity;
+	if (springTarget(p, hi) <= distance) return hi;
+	// springTarget grows monotonically with v; 48 halvings leave well under a unit of error.
+	for (let i = 0; i < 48; i++) {
+		const mid = (lo + hi) / 2;
+		if (springTarget(p, mid) < distance) lo = mid;
+		else hi = mid;
+	}
+	return (lo + hi) / 2;
+}
+
+/**
+ * Total glide distance of `presses` same-direction presses in quick succession: the first step
+ * plus the glide from the velocity they reach. A spring lands where the exponential glide stops.
+ * @param {InertiaTuning} tuning
+ * @param {number} presses
+ * @returns {number} cursor units
+ */
+function glideDistance(tuning, presses) {
+	const v0 = Math.min(tuning.maxVelocity, tuning.initialVelocity + (presses - 1) * tuning.impulse);
+	if (v0 <= tuning.cutoff) return 0;
+	const curveName = tuning.decayCurve === "spring" ? "exponential" : tuning.decayCurve;
+	return tuning.firstTickStep + freeGlide(tuning, curveName, v0, Infinity).distance;
+}
+
 function clampLevel(value, fallback) {
 	const numeric = Number(value);
 	if (!Number.isFinite(numeric)) return fallback;
 	return Math.min(LEVEL_MAX, Math.max(LEVEL_MIN, Math.round(numeric)));
 }
 
+/**
+ * @param {unknown} value
+ * @param {Omit<ParamSpec, "fallback">} spec
+ * @param {number | null} fallback
+ */
+function clampParam(value, spec, fallback) {
+	if (typeof value !== "number" || !Number.isFinite(value)) return fallback;
+	const numeric = spec.integer ? Math.round(value) : value;
+	return Math.min(spec.max, Math.max(spec.min, numeric));
+}
+
 function normalizeLevel(level) {
 	return (level - LEVEL_MIN) / (LEVEL_MAX - LEVEL_MIN);
 }
@@ -73,30 +317,68 @@ function tickMsFromLevel(level) {
 }
 
 /**
- * @param {number} impulseLevel
- * @param {number} tickSlowLevel
+ * Validates raw settings (levels, level overrides, physics parameters) over a profile: each
+ * parameter comes from its setting, else the profile, else its level or default. Invalid values
+ * count as unset.
+ * @param {Record<string, unknown>} [settings] levels and explicitly set parameters
+ * @param {Record<string, unknown>} [profile] parameters of the active profile
+ * @param {string} [profileName]
  * @returns {InertiaTuning}
  */
-function makeTuning(impulseLevel, tickSlowLevel) {
-	const safeImpulseLevel = clampLevel(impulseLevel, DEFAULT_IMPULSE_LEVEL);
-	const safeTickSlowLevel = clampLevel(tickSlowLevel, DEFAULT_TICK_SLOW_LEVEL);
-	return {
-		impulseLevel: safeImpulseLevel,
-		tickSlowLevel: safeTickSlowLevel,
-		impulse: impulseFromLevel(safeImpulseLevel),
-		tickMs: tickMsFromLevel(safeTickSlowLevel)
+function makeTuning(settings = {}, profile = {}, profileName = inertiaProfiles.DEFAULT_PROFILE) {
+	const impulseLevel = clampLevel(settings.impulseLevel, DEFAULT_IMPULSE_LEVEL);
+	const tickSlowLevel = clampLevel(settings.tickSlowLevel, DEFAULT_TICK_SLOW_LEVEL);
+	/** @type {(name: string, spec: Omit<ParamSpec, "fallback">) => { value: number | null, from: TuningSource }} */
+	const layered = (name, spec) => {
+		const setting = clampParam(settings[name], spec, null);
+		if (setting !== null) return { value: setting, from: "setting" };
+		const value = clampParam(profile[name], spec, null);
+		return { value, from: value !== null ? "profile" : "level" };
+	};
+	const impulse = layered("impulse", LEVEL_PARAMS.impulse);
+	const tickMs = layered("tickMs", LEVEL_PARAMS.tickMs);
+	const tuning = {
+		impulseLevel,
+		tickSlowLevel,
+		impulse: impulse.value ?? impulseFromLevel(impulseLevel),
+		tickMs: tickMs.value ?? tickMsFromLevel(tickSlowLevel),
+		impulseFrom: impulse.from,
+		tickMsFrom: tickMs.from,
+		profile: profileName,
+		selectMode: typeof profile.selectMode === "boolean" ? profile.selectMode : null
 	};
+	for (const [name, spec] of Object.entries(PHYSICS_PARAMS)) {
+		tuning[name] = layered(name, spec).value ?? spec.fallback;
+	}
+	tuning.decayCurve = [settings[DECAY_CURVE_KEY], profile[DECAY_CURVE_KEY]].find((curve) => DECAY_CURVES.includes(curve)) ??
+		DEFAULT_DECAY_CURVE;
+	// Per unit, like the other parameters: setting, else profile, else the unit's default.
+	tuning.unitStepDistance = {};
+	for (const [unit, spec] of Object.entries(inertiaUnits.UNITS)) {
+		const layers = [settings[UNIT_STEP_DISTANCE_KEY]?.[unit], profile[UNIT_STEP_DISTANCE_KEY]?.[unit]];
+		tuning.unitStepDistance[unit] = layers.map((value) => clampParam(value, UNIT_STEP_DISTANCE_SPEC, null))
+			.find((value) => value !== null) ?? spec.stepDistance;
+	}
+	return /** @type {InertiaTuning} */ (tuning);
 }
 
 /**
+ * The profile follows the active editor: its language (inertia.profileByLanguage) and, in a
+ * multi-root workspace, its folder's settings.
  * @returns {InertiaTuning}
  */
 function readTuningFromConfig() {
-	const config = vscode.workspace.getConfiguration(CONFIG_SECTION);
-	return makeTuning(
-		config.get(IMPULSE_LEVEL_KEY, DEFAULT_IMPULSE_LEVEL),
-		config.get(TICK_SLOW_LEVEL_KEY, DEFAULT_TICK_SLOW_LEVEL)
-	);
+	const config = vscode.workspace.getConfiguration(CONFIG_SECTION, vscode.window.activeTextEditor?.document.uri);
+	const profileName = inertiaProfiles.resolveProfileName(config, vscode.window.activeTextEditor?.document.languageId);
+	const settings = {
+		impulseLevel: config.get(IMPULSE_LEVEL_KEY, DEFAULT_IMPULSE_LEVEL),
+		tickSlowLevel: config.get(TICK_SLOW_LEVEL_KEY, DEFAULT_TICK_SLOW_LEVEL)
+	};
+	// Contributed defaults are documentation; only explicit values override the profile.
+	for (const name of [...Object.keys(LEVEL_PARAMS), ...Object.keys(PHYSICS_PARAMS), DECAY_CURVE_KEY, UNIT_STEP_DISTANCE_KEY]) {
+		settings[name] = explicitValue(config, PHYSICS_KEY_PREFIX + name);
+	}
+	return makeTuning(settings, inertiaProfiles.readProfile(config, profileName), profileName);
 }
 
 function byForDir(dir) {
@@ -113,32 +395,56 @@ async function moveCursor(dir, step, select) {
 	});
 }
 
-function selectionSig(editor) {
-	const s = editor.selection;
+/**
+ * Moves by `step` units of `unit`.
+ * @param {vscode.TextEditor} editor
+ * @param {string} unit CHARACTER_UNIT or a key of inertiaUnits.UNITS
+ * @param {Direction} dir
+ * @param {number} step
+ * @param {boolean} select
+ * @returns {Promise<boolean>} false once a semantic unit has no further stop
+ */
+async function moveBy(editor, unit, dir, step, select) {
+	if (unit === CHARACTER_UNIT) {
+		await moveCursor(dir, step, select);
+		return true;
+	}
+	return inertiaUnits.moveByUnit(editor, unit, dir, step, select);
+}
+
+/**
+ * Signature of the whole selection set (primary first), so external-change detection covers
+ * every cursor. `cursorMove` already moves all selections together; cursors merging at a
+ * document edge simply yield a shorter signature on the next tick.
+ * @param {vscode.TextEditor} editor
+ * @param {readonly vscode.Selection[]} [selections]
+ */
+function selectionSig(editor, selections = editor.selections) {
 	const uri = editor.document.uri.toString();
-	return `${uri}|A:${s.active.line},${s.active.character}|B:${s.anchor.line},${s.anchor.character}`;
+	const parts = selections.map((s) => `A:${s.active.line},${s.active.character}|B:${s.anchor.line},${s.anchor.character}`);
+	return `${uri}|${parts.join(";")}`;
 }
 
 /**
  * Inertia controller:
- * - Triggered only by Ctrl+Alt+IJKL commands (impulse events).
+ * - Triggered only by Ctrl+Alt+IJKL and the inertia unit commands (impulse events).
  * - Alt+IJKL is single-step only and never enters inertia.
  */
 class InertiaCursorController {
 	#cfg = {
-		// Units: milliseconds per simulation tick.
+		// Units: milliseconds between cursor moves.
 		// Suggested range: 14 to 68 via level mapping (1 to 10).
 		// Nominal value: 32 (tick slow level 4).
-		// +: Increases delay between movement updates; inertia feels slower/smoother.
-		// -: Decreases delay between movement updates; inertia feels faster/more reactive.
+		// +: Fewer, larger moves; cheaper, but the glide looks steppier.
+		// -: More, smaller moves; smoother glide at the same speed and distance.
 		tickMs: tickMsFromLevel(DEFAULT_TICK_SLOW_LEVEL),
 
-		// Units: velocity units.
+		// Units: cursor units per reference tick (REFERENCE_TICK_MS).
 		// Suggested range: 1.0 to 1.5.
 		// Nominal value: 1.1.
 		// +: Starts each inertia run with a larger baseline speed.
 		// -: Starts each inertia run more gently.
-		initialVelocity: 1.1,
+		initialVelocity: PHYSICS_PARAMS.initialVelocity.fallback,
 
 		// Units: velocity units added per same-direction impulse key press.
 		// Suggested range: 0.30 to 2.10 via level mapping (1 to 10).
@@ -152,48 +458,127 @@ class InertiaCursorController {
 		// Nominal value: 512.
 		// +: Allows higher peak speed before clamping.
 		// -: Limits maximum reachable speed.
-		maxVelocity: 512.0,
+		maxVelocity: PHYSICS_PARAMS.maxVelocity.fallback,
 
-		// Units: unitless multiplier applied each tick.
+		// Units: unitless multiplier per reference tick, applied continuously.
 		// Suggested range: 0.90 to 0.99.
 		// Nominal value: 0.96.
 		// +: Decays velocity more slowly; inertia lasts longer.
 		// -: Decays velocity faster; inertia stops sooner.
-		decay: 0.96,
+		decay: PHYSICS_PARAMS.decay.fallback,
 
 		// Units: velocity units.
 		// Suggested range: 0.80 to 1.20.
 		// Nominal value: 0.99.
 		// +: Requires more residual speed to continue; runs stop earlier.
 		// -: Allows slower movement to continue; runs persist longer.
-		cutoff: 0.99,
+		cutoff: PHYSICS_PARAMS.cutoff.fallback,
 
-		// Units: cursor units per tick (characters horizontally, wrapped lines vertically).
+		// Units: cursor units per reference tick (characters horizontally, wrapped lines vertically).
 		// Suggested range: 4 to 16.
 		// Nominal value: 8.
-		// +: Permits larger per-tick jumps at high velocity.
-		// -: Limits per-tick jumps and improves fine control.
-		maxStepPerTick: 8,
-
-		// Units: event count.
-		// Suggested range: 128 to 2048.
-		// Nominal value: 512.
-		// +: Ignores more extension-caused selection events before external-stop detection.
-		// -: Reacts sooner to unexpected selection changes.
-		suppressSelectionEvents: 512
+		// +: Permits faster gliding at high velocity.
+		// -: Caps glide speed and improves fine control.
+		maxStepPerTick: PHYSICS_PARAMS.maxStepPerTick.fallback,
+
+		// Units: cursor units (characters horizontally, wrapped lines vertically).
+		// Suggested range: 1 to 4.
+		// Nominal value: 2.
+		// +: The first tick of a run moves further, so a run visibly starts at once.
+		// -: The first tick moves less; 1 matches a single-step key.
+		firstTickStep: PHYSICS_PARAMS.firstTickStep.fallback,
+
+		// Units: unitless multiplier applied to velocity on a direction switch.
+		// Suggested range: 0 to 0.5.
+		// Nominal value: 0.1.
+		// +: Keeps more speed when turning; the new direction starts fast.
+		// -: Turns restart near initialVelocity.
+		switchDamping: PHYSICS_PARAMS.switchDamping.fallback,
+
+		// Deceleration model: "exponential" (decay), "friction", "drag" or "spring"; see DECAY_CURVES.
+		decayCurve: /** @type {DecayCurve} */ (DEFAULT_DECAY_CURVE),
+
+		// Units: cursor units per reference tick, lost per reference tick ("friction" curve).
+		// Suggested range: 0.05 to 0.3.
+		// Nominal value: 0.12.
+		// +: Linear slowdown is steeper; glides are shorter.
+		// -: Glides keep their speed longer and end abruptly.
+		friction: PHYSICS_PARAMS.friction.fallback,
+
+		// Units: 1 / cursor units ("drag" curve, dv/dtau = -drag * v^2).
+		// Suggested range: 0.01 to 0.05.
+		// Nominal value: 0.02.
+		// +: Fast glides are braked harder; glides are shorter.
+		// -: Long, slow tails at the end of a glide.
+		drag: PHYSICS_PARAMS.drag.fallback,
+
+		// Units: cursor units of glide per semantic unit step, by unit (see inertiaUnits.js).
+		// Suggested range: 2 to 16.
+		// Nominal value: 4 (word) to 8 (paragraph, fold, symbol).
+		// +: The same flick covers fewer units.
+		// -: The same flick covers more units.
+		unitStepDistance: Object.fromEntries(Object.entries(inertiaUnits.UNITS).map(([unit, spec]) => [unit, spec.stepDistance]))
 	};
 
 	#state = {
 		running: false,
 		dir: /** @type {Direction|null} */ (null),
+		unit: /** @type {InertiaUnit} */ (CHARACTER_UNIT),
 		velocity: 0,
+		// Distance integrated but not yet moved, in cursor units.
+		pendingDistance: 0,
+		// The run's glide is over (velocity below cutoff, or the spring reached its target).
+		glideEnded: false,
+		// Spring curve: distance left to the target, and the damping rate per reference tick.
+		springRemaining: 0,
+		springRate: 0,
+		// performance.now() up to which velocity and pendingDistance are integrated.
+		integratedMs: 0,
+		// True while a cursorMove is in flight; the tick that started it schedules the next one.
+		moving: false,
 		timer: /** @type {NodeJS.Timeout|null} */ (null),
 		expectedSig: /** @type {string|null} */ (null),
-		suppressSelEvents: 0,
 		selectMode: false,
-		firstTickPending: false
+		firstTickPending: false,
+		runs: 0,
+		switches: 0
 	};
 
+	/** @type {(state: InertiaState) => void} */
+	#onStateChange;
+
+	/**
+	 * @param {(state: InertiaState) => void} [onStateChange] called on run start/stop, impulses,
+	 *   direction switches, select mode toggles and tuning changes
+	 */
+	constructor(onStateChange = () => {}) {
+		this.#onStateChange = onStateChange;
+	}
+
+	/**
+	 * @returns {InertiaState}
+	 */
+	getState() {
+		return {
+			running: this.#state.running,
+			dir: this.#state.dir,
+			velocity: this.#state.velocity,
+			selectMode: this.#state.selectMode,
+			runs: this.#state.runs,
+			switches: this.#state.switches,
+			tickMs: this.#cfg.tickMs,
+			referenceTickMs: REFERENCE_TICK_MS,
+			decay: this.#cfg.decay,
+			cutoff: this.#cfg.cutoff,
+			maxStepPerTick: this.#cfg.maxStepPerTick,
+			decayCurve: this.#cfg.decayCurve,
+			friction: this.#cfg.friction,
+			drag: this.#cfg.drag,
+			springRemaining: this.#state.springRemaining,
+			springRate: this.#state.springRate
+		};
+	}
+
 	wire() {
 		return vscode.window.onDidChangeTextEditorSelection((e) => {
 			if (!this.#state.running) return;
@@ -202,50 +587,81 @@ class InertiaCursorController {
 			if (!active) return;
 			if (e.textEditor !== active) return;
 
-			if (this.#state.suppressSelEvents > 0) {
-				this.#state.suppressSelEvents--;
+			// A click always ends the run.
+			if (e.kind === vscode.TextEditorSelectionChangeKind.Mouse) {
+				this.stop();
 				return;
 			}
+			// Events during a move are the move's own (cursorMove, each cursorWord step); the
+			// signature taken after it covers where they ended.
+			if (this.#state.moving) return;
 
-			const sig = selectionSig(active);
+			const sig = selectionSig(active, e.selections);
 			if (sig !== this.#state.expectedSig) this.stop();
 		});
 	}
 
 	stop() {
+		const wasRunning = this.#state.running;
 		this.#state.running = false;
 		this.#state.dir = null;
 		this.#state.velocity = 0;
+		this.#state.pendingDistance = 0;
+		this.#state.springRemaining = 0;
+		this.#state.springRate = 0;
 		this.#state.expectedSig = null;
 		this.#state.firstTickPending = false;
 
 		if (this.#state.timer) {
-			clearInterval(this.#state.timer);
+			clearTimeout(this.#state.timer);
 			this.#state.timer = null;
 		}
+
+		if (wasRunning) this.#notifyStateChange();
 	}
 
 	/**
-	 * @param {InertiaTuning} tuning
+	 * @param {InertiaTuning} tuning validated by makeTuning
 	 * @returns {InertiaTuning}
 	 */
 	applyTuning(tuning) {
-		const next = makeTuning(tuning.impulseLevel, tuning.tickSlowLevel);
+		const next = { ...tuning };
 		const tickChanged = this.#cfg.tickMs !== next.tickMs;
+		// Time so far is integrated under the previous parameters.
+		if (this.#state.running) this.#integrate(performance.now());
+		const velocity = this.#runVelocity();
 		this.#cfg.tickMs = next.tickMs;
 		this.#cfg.impulse = next.impulse;
+		for (const name of Object.keys(PHYSICS_PARAMS)) this.#cfg[name] = next[name];
+		this.#cfg.decayCurve = next.decayCurve;
+		this.#cfg.unitStepDistance = { ...next.unitStepDistance };
+		// A running inertia run continues under the new curve and limits.
+		if (this.#state.running && !this.#state.glideEnded) {
+			this.#setRunVelocity(Math.min(velocity, this.#cfg.maxVelocity));
+		}
 
-		if (tickChanged && this.#state.running) {
-			this.#restartTimer();
+		// A waiting tick is rescheduled; a move in flight schedules with the new cadence anyway.
+		if (tickChanged && this.#state.timer) {
+			this.#scheduleTick();
 		}
 
+		this.#notifyStateChange();
 		return next;
 	}
 
 	toggleSelectMode() {
-		this.#state.selectMode = !this.#state.selectMode;
+		this.setSelectMode(!this.#state.selectMode);
+	}
+
+	/**
+	 * @param {boolean} selectMode
+	 */
+	setSelectMode(selectMode) {
+		if (this.#state.selectMode === selectMode) return;
+		this.#state.selectMode = selectMode;
 		const label = this.#state.selectMode ? "ON" : "OFF";
 		vscode.window.setStatusBarMessage(`Cursor select mode: ${label}`, 1500);
+		this.#notifyStateChange();
 	}
 
 	isSelectMode() {
@@ -253,89 +669,198 @@ class InertiaCursorController {
 	}
 
 	/**
-	 * Start inertia or add impulse. Only called by Ctrl+Alt bindings.
+	 * Start inertia or add impulse. Only called by Ctrl+Alt bindings and the unit commands.
 	 * @param {Direction} dir
+	 * @param {InertiaUnit} [unit]
 	 */
-	impulse(dir) {
+	impulse(dir, unit = CHARACTER_UNIT) {
 		const editor = vscode.window.activeTextEditor;
 		if (!editor) return;
 
 		if (!this.#state.running) {
 			this.#state.running = true;
 			this.#state.dir = dir;
-			this.#state.velocity = this.#cfg.initialVelocity;
+			this.#state.unit = unit;
+			this.#state.pendingDistance = 0;
+			this.#setRunVelocity(this.#cfg.initialVelocity);
 			this.#state.expectedSig = selectionSig(editor);
 			this.#state.firstTickPending = true;
+			this.#state.runs++;
+			this.#notifyStateChange();
 
-			// immediate tick, then loop
-			void this.#tickOnce();
-			this.#restartTimer();
+			// Immediate tick; a move still in flight from the previous run schedules it instead.
+			if (!this.#state.moving) void this.#tickOnce();
 			return;
 		}
 
-		// Running: direction change dampens, same direction accelerates.
-		if (this.#state.dir !== dir) {
+		// The old velocity applies up to the key press.
+		this.#integrate(performance.now());
+
+		// Running: direction (or unit) change dampens, same direction accelerates.
+		if (this.#state.dir !== dir || this.#state.unit !== unit) {
 			this.#state.dir = dir;
-			this.#state.velocity = Math.max(this.#cfg.initialVelocity, this.#state.velocity * 0.1);
+			this.#state.unit = unit;
+			this.#state.pendingDistance = 0;
+			this.#setRunVelocity(Math.max(this.#cfg.initialVelocity, this.#runVelocity() * this.#cfg.switchDamping));
+			this.#state.switches++;
+			this.#notifyStateChange();
 			return;
 		}
 
-		this.#state.velocity = Math.min(this.#cfg.maxVelocity, this.#state.velocity + this.#cfg.impulse);
+		this.#setRunVelocity(Math.min(this.#cfg.maxVelocity, this.#runVelocity() + this.#cfg.impulse));
+		this.#notifyStateChange();
 	}
 
 	async #tickOnce() {
+		this.#state.timer = null;
+		if (this.#state.moving) return;
+
 		const editor = vscode.window.activeTextEditor;
 		if (!editor || !this.#state.running || !this.#state.dir) {
 			this.stop();
 			return;
 		}
 
-		if (this.#state.velocity < this.#cfg.cutoff) {
+		const unit = this.#state.unit;
+		const stepDistance = unit === CHARACTER_UNIT ? 1 : this.#cfg.unitStepDistance[unit];
+		let step;
+		let ending = false;
+		if (this.#state.firstTickPending) {
+			if (this.#state.glideEnded) {
+				this.stop();
+				return;
+			}
+			step = Math.max(1, Math.round(this.#cfg.firstTickStep / stepDistance));
+			this.#state.firstTickPending = false;
+			this.#state.integratedMs = performance.now();
+		} else {
+			this.#integrate(performance.now());
+			// Whole units only; the fraction carries over, and the last move of a run rounds it.
+			ending = this.#state.glideEnded;
+			const units = this.#state.pendingDistance / stepDistance;
+			step = ending ? Math.round(units) : Math.floor(units);
+			this.#state.pendingDistance -= step * stepDistance;
+		}
+
+		const run = this.#state.runs;
+		if (step > 0) {
+			this.#state.moving = true;
+			try {
+				// Out of stops: the run ends with this move.
+				if (!await moveBy(editor, unit, this.#state.dir, step, this.#state.selectMode)) ending = true;
+			} catch {
+				// A rejected move (cursorMove, a folding or symbol provider) ends the run as well.
+				ending = true;
+			} finally {
+				this.#state.moving = false;
+			}
+			this.#state.expectedSig = selectionSig(editor);
+		}
+
+		// Stopped during the move, unless a new run has started since.
+		if (!this.#state.running) return;
+		if (ending && run === this.#state.runs) {
 			this.stop();
 			return;
 		}
+		this.#scheduleTick();
+	}
 
-		const step = this.#state.firstTickPending ? 2 : this.#stepFromVelocity(this.#state.velocity);
-		const dir = this.#state.dir;
-		this.#state.firstTickPending = false;
+	/**
+	 * Velocity that impulses and direction switches act on. For a spring run, the velocity whose
+	 * exponential glide covers the remaining distance, so impulses extend it as they would an
+	 * exponential run.
+	 */
+	#runVelocity() {
+		if (this.#cfg.decayCurve !== "spring" || !this.#state.running) return this.#state.velocity;
+		return springVelocityFor(this.#cfg, this.#state.springRemaining);
+	}
 
-		this.#state.suppressSelEvents = this.#cfg.suppressSelectionEvents;
+	/**
+	 * Sets the run velocity; a spring re-predicts its target from it and starts toward it at up
+	 * to maxStepPerTick.
+	 * @param {number} velocity
+	 */
+	#setRunVelocity(velocity) {
+		if (this.#cfg.decayCurve !== "spring") {
+			this.#state.velocity = velocity;
+			this.#state.glideEnded = !(velocity > this.#cfg.cutoff);
+			return;
+		}
+		const target = springTarget(this.#cfg, velocity);
+		const speed = Math.min(velocity, this.#cfg.maxStepPerTick);
+		this.#state.glideEnded = target <= 0;
+		this.#state.velocity = this.#state.glideEnded ? 0 : speed;
+		this.#state.springRemaining = target;
+		// Critically damped from speed s toward distance x: v(tau) = s * (1 + w * tau) * e^(-w * tau)
+		// covers exactly x = 2 * s / w, and never exceeds s.
+		this.#state.springRate = this.#state.glideEnded ? 0 : 2 * speed / target;
+	}
 
-		await moveCursor(dir, step, this.#state.selectMode);
+	/**
+	 * Advances velocity and pendingDistance to `nowMs` (steps 4 and 5 of the model), and marks
+	 * the end of the glide.
+	 * @param {number} nowMs
+	 */
+	#integrate(nowMs) {
+		const elapsedMs = nowMs - this.#state.integratedMs;
+		this.#state.integratedMs = nowMs;
+		if (this.#state.firstTickPending || this.#state.glideEnded || elapsedMs <= 0) return;
+
+		const tau = elapsedMs / REFERENCE_TICK_MS;
+		if (this.#cfg.decayCurve !== "spring") {
+			const glide = freeGlide(this.#cfg, this.#cfg.decayCurve, this.#state.velocity, tau);
+			this.#state.pendingDistance += glide.distance;
+			this.#state.velocity = glide.velocity;
+			this.#state.glideEnded = glide.ended;
+			return;
+		}
 
-		this.#state.expectedSig = selectionSig(editor);
-		this.#state.velocity *= this.#cfg.decay;
+		const glide = springGlide(this.#state.springRemaining, this.#state.velocity, this.#state.springRate, tau);
+		this.#state.pendingDistance += glide.distance;
+		this.#state.velocity = glide.velocity;
+		this.#state.springRemaining = glide.remaining;
+		this.#state.glideEnded = glide.ended;
 	}
 
-	#stepFromVelocity(v) {
-		const raw = Math.round(v);
-		return Math.max(1, Math.min(this.#cfg.maxStepPerTick, raw));
+	#notifyStateChange() {
+		this.#onStateChange(this.getState());
 	}
 
-	#restartTimer() {
+	#scheduleTick() {
 		if (this.#state.timer) {
-			clearInterval(this.#state.timer);
+			clearTimeout(this.#state.timer);
 		}
-		this.#state.timer = setInterval(() => void this.#tickOnce(), this.#cfg.tickMs);
+		// A run started during the last move takes its first tick at once.
+		const delayMs = this.#state.firstTickPending ? 0 : this.#cfg.tickMs;
+		this.#state.timer = setTimeout(() => void this.#tickOnce(), delayMs);
 	}
 }
 
 let inertiaController = null;
 let inertiaDisposables = null;
+/** @type {vscode.EventEmitter<InertiaState>} */
+const stateEmitter = new vscode.EventEmitter();
 /** @type {InertiaTuning} */
-let currentTuning = makeTuning(DEFAULT_IMPULSE_LEVEL, DEFAULT_TICK_SLOW_LEVEL);
+let currentTuning = makeTuning();
 
 /**
  * @param {InertiaTuning} tuning
  * @returns {InertiaTuning}
  */
 function applyResolvedTuning(tuning) {
-	if (inertiaController) {
+	// Editor switches re-resolve the profile; an unchanged tuning is not re-sent.
+	const unchanged = JSON.stringify(tuning) === JSON.stringify(currentTuning);
+	if (inertiaController && !unchanged) {
+		// A profile's select mode default applies when the profile becomes active.
+		if (tuning.profile !== currentTuning.profile && tuning.selectMode !== null) {
+			inertiaController.setSelectMode(tuning.selectMode);
+		}
 		currentTuning = inertiaController.applyTuning(tuning);
 		return getCurrentTuning();
 	}
 
-	currentTuning = makeTuning(tuning.impulseLevel, tuning.tickSlowLevel);
+	currentTuning = { ...tuning };
 	return getCurrentTuning();
 }
 
@@ -353,10 +878,21 @@ function getCurrentTuning() {
 	return { ...currentTuning };
 }
 
+/**
+ * Current telemetry snapshot; an idle state while inertia controls are inactive.
+ * @returns {InertiaState}
+ */
+function getInertiaState() {
+	if (inertiaController) return inertiaController.getState();
+	return new InertiaCursorController().getState();
+}
+
 function activate() {
 	if (inertiaDisposables) return false;
 
-	inertiaController = new InertiaCursorController();
+	inertiaController = new InertiaCursorController((state) => stateEmitter.fire(state));
+	// The new controller starts from the default tuning (and the default profile).
+	currentTuning = makeTuning();
 	applyUserTuningFromConfig();
 
 	// Single-step commands (Alt+IJKL)
@@ -372,7 +908,16 @@ function activate() {
 		vscode.commands.registerCommand("inertiaCursor.left", () => inertiaController?.impulse("left")),
 		vscode.commands.registerCommand("inertiaCursor.right", () => inertiaController?.impulse("right")),
 		vscode.commands.registerCommand("inertiaCursor.stop", () => inertiaController?.stop()),
-		vscode.commands.registerCommand("inertiaCursor.toggleSelectMode", () => inertiaController?.toggleSelectMode())
+		vscode.commands.registerCommand("inertiaCursor.toggleSelectMode", () => inertiaController?.toggleSelectMode()),
+		// Semantic unit commands (cursorOnce.<unit>.<dir>, inertiaCursor.<unit>.<dir>)
+		...Object.entries(inertiaUnits.UNITS).flatMap(([unit, spec]) => spec.directions.flatMap((dir) => [
+			vscode.commands.registerCommand(`cursorOnce.${unit}.${dir}`, () => {
+				const editor = vscode.window.activeTextEditor;
+				// A rejected provider (folding, symbols) leaves the cursor where it is.
+				if (editor) moveBy(editor, unit, dir, 1, inertiaController?.isSelectMode() ?? false).catch(() => {});
+			}),
+			vscode.commands.registerCommand(`inertiaCursor.${unit}.${dir}`, () => inertiaController?.impulse(dir, unit))
+		]))
 	];
 
 	inertiaDisposables = vscode.Disposable.from(...commandDisposables);
@@ -388,6 +933,8 @@ function deactivate() {
 	}
 
 	inertiaController = null;
+	// Drops select-mode state on the renderer side as well.
+	stateEmitter.fire(getInertiaState());
 }
 
 function isActive() {
@@ -399,5 +946,15 @@ module.exports = {
 	deactivate,
 	isActive,
 	applyUserTuningFromConfig,
-	getCurrentTuning
+	getCurrentTuning,
+	getInertiaState,
+	glideDistance,
+	DECAY_CURVES,
+	// Exported for the tests.
+	InertiaCursorController,
+	makeTuning,
+	freeGlide,
+	springGlide,
+	springVelocityFor,
+	onDidChangeState: stateEmitter.event
 };
@@ -20,7 +20,8 @@
 //
 // 5) Monaco-layered canvas (under native caret)
 // The overlay canvas is attached to the active Monaco host and rendered below caret layers.
-// Native Monaco caret stays visible above custom trail/box rendering.
+// Native Monaco caret stays visible above custom trail/box rendering, unless caret mode "custom"
+// hides it and the canvas draws its own caret on top of the box.
 //
 // ----------------------------------------------------------------------
 // Dynamics Math Notes (centralized)
@@ -72,16 +73,26 @@
 // ASCII overshoot signal flow:
 //      cursor motion ---> kick ---> v ----> oscillator ----> x ----> size scale
 
-(() => {
+(function velCursorTrail() {
 	"use strict";
 
+	// Set while the loader evaluates a <script src>; lets a reload fetch the edited file again.
+	const scriptSrc = document.currentScript?.src || "";
+
 	// ======================================================================
 	// SECTION 1: Configuration
 	// ======================================================================
 
 	const CFG = {
-		// Units: CSS color string.
-		// Range: Any valid CSS color (recommended hex like #RRGGBB or #RRGGBBAA).
+		// Units: Boolean flag.
+		// Range: true | false.
+		// +: true renders the trail and caret box.
+		// -: false detaches the canvas and stops the frame loop; only the host bridge stays connected.
+		enabled: true,
+
+		// Units: CSS color string or VS Code theme color id.
+		// Range: #RGB, #RRGGBB, #RRGGBBAA, rgb()/rgba(), or a theme color id such as
+		//        "editorCursor.foreground" (read from the workbench's --vscode-* CSS variables).
 		// +: Brighter/lighter colors increase perceived trail prominence.
 		// -: Darker/muted colors reduce trail prominence.
 		color: "#FFC0CB",
@@ -92,6 +103,45 @@
 		// -: Trail becomes more transparent and subtle.
 		opacity: 0.69,
 
+		// Per-cell trail color ramp. Stops are spread evenly over t in [0, 1]; t comes from `mode`:
+		// - "none": single `color`
+		// - "age": sample age frac (0 = newest, 1 = about to expire)
+		// - "distance": path distance from the head / distanceNormPx
+		// - "speed": local trail speed / speedNormPxPerSec (0 = slow, 1 = fast; heat map)
+		colorRamp: {
+			// Range: "none" | "age" | "distance" | "speed".
+			mode: "none",
+
+			// Units: CSS color strings or theme color ids, any count >= 1.
+			// +: More stops give finer multi-color gradients (e.g. a rainbow).
+			// -: Fewer stops give a simpler two-tone blend.
+			stops: ["#FFC0CB", "#FF00B3", "#7A00FF"],
+
+			// Units: degrees per second.
+			// Range: any; 0 disables hue cycling.
+			// +: Hues of the whole ramp rotate faster (cycling rainbow).
+			// -: Slower rotation; negative values rotate the other way.
+			hueCycleDegPerSec: 0,
+
+			// Units: px.
+			// Range: > 0.
+			// +: Distance ramp stretches over a longer stretch of trail.
+			// -: Distance ramp reaches its last stop sooner.
+			distanceNormPx: 320,
+
+			// Units: px/s.
+			// Range: > 0.
+			// +: Needs faster motion to reach the hot end of a speed ramp.
+			// -: Slower motion already reads as hot.
+			speedNormPxPerSec: 2400,
+
+			// Units: table entries per ramp.
+			// Range: >= 2.
+			// +: Smoother color steps between cells.
+			// -: Coarser steps; smaller table.
+			lutSize: 32
+		},
+
 		shadow: {
 			// Units: Boolean flag.
 			// Range: true | false.
@@ -99,8 +149,8 @@
 			// -: false disables glow/shadow contribution.
 			enabled: true,
 
-			// Units: CSS color string or null.
-			// Range: null or any valid CSS color string.
+			// Units: CSS color string, theme color id, or null.
+			// Range: null or any value accepted by top-level `color`.
 			// +: Brighter/saturated override color makes glow more noticeable.
 			// -: Darker/transparent override color makes glow less noticeable.
 			color: "#ff00b3",
@@ -152,8 +202,8 @@
 			// -: Lower reference raises runtime scaling for same active font size.
 			scaleRefFontSizePx: 14,
 
-			// Units: CSS color string or null.
-			// Range: null or any valid CSS color string.
+			// Units: CSS color string, theme color id, or null.
+			// Range: null or any value accepted by top-level `color`.
 			// +: Brighter/saturated color increases hollow box prominence.
 			// -: Darker/transparent color decreases hollow box prominence.
 			// null => use top-level trail `color`.
@@ -167,8 +217,67 @@
 			opacity: 0.47
 		},
 
+		// Caret styling. Editor carets only (editor, diff and notebook surfaces); the terminal's
+		// cursor is drawn by xterm and always stays native.
+		caret: {
+			// Range: "native" | "blend" | "custom".
+			// - "native": Monaco's caret only; no hollow box in any editor
+			// - "blend": Monaco's caret above the hollow box
+			// - "custom": Monaco's caret hidden; the renderer draws its own caret in `shape`, above
+			//   the hollow box
+			mode: "blend",
+
+			// Custom caret shape; "auto" follows editor.cursorStyle (read from the cursors layer).
+			// Range: "auto" | "line" | "block" | "underline" | "hollow".
+			shape: "auto",
+
+			// Custom caret blinking; "auto" follows editor.cursorBlinking in step with Monaco's own
+			// (hidden) caret, the others run on their own clock, restarted by every caret hop.
+			// Range: "auto" | "blink" | "smooth" | "phase" | "expand" | "solid".
+			blink: "auto",
+
+			// Units: Boolean flag.
+			// Range: true | false.
+			// +: true glides the custom caret along with the corner springs (smooth caret animation).
+			// -: false places it on the caret immediately.
+			smooth: true,
+
+			// Units: CSS color string, theme color id, or null.
+			// Range: null or any value accepted by top-level `color`.
+			// null => the editor's caret color (editorCursor.foreground).
+			color: null,
+
+			// Units: unitless alpha.
+			// Range: [0, 1].
+			opacity: 1,
+
+			// Units: unitless alpha multiplier of `opacity` for "block".
+			// Range: [0, 1].
+			// +: More solid block; the canvas sits above the text, so it covers the character.
+			// -: The character under the block stays readable.
+			blockOpacity: 0.6,
+
+			// Units: px.
+			// Range: > 0.
+			// Width of "line", thickness of "underline" and stroke of "hollow" (thin variants of
+			// editor.cursorStyle use 1px).
+			lineWidthPx: 2,
+
+			// Units: em (of the editor font size).
+			// Range: > 0.
+			// Character cell width for "block", "underline" and "hollow" while Monaco's caret is a
+			// line; block-style native carets give the real cell width.
+			cellWidthEm: 0.6
+		},
+
 		// Trail density and fade behavior.
 		trail: {
+			// Units: style name (see TRAIL_STYLES).
+			// Range: "hex" | "ribbon" | "dots" | "chevrons" | "comet" | "outline".
+			// "hex": directional concave-hex cells (stackHex); the ribbon strip with performance.fastPathEnabled.
+			// Others: smooth ribbon, round dots, chevrons, tapered comet, line-only outline (see `styles`).
+			// Unknown names render as "hex".
+			style: "hex",
 			// Units: ms.
 			// Range: > 0.
 			// +: Trail persists longer before fully fading out.
@@ -403,6 +512,49 @@
 				// +: Higher tolerance allows more perpendicularity slack.
 				// -: Lower tolerance enforces stricter perpendicularity.
 				perpToleranceDeg: 4
+			},
+
+			// Per-style knobs for the non-hex trail styles. Edge frames, cell picking and
+			// minimum widths are shared with stackHex (directionLerpAlpha, minCellWidthPx, maxCellsPerFrame).
+			styles: {
+				dots: {
+					// Units: unitless fraction of local trail width.
+					// Range: > 0.
+					// +: Larger dots that merge into a bead chain.
+					// -: Smaller, sparser-looking dots.
+					sizeScale: 0.6,
+					// Units: px.
+					// Range: >= 0.
+					// +: Old, narrow trail samples stay visible as larger dots.
+					// -: Dots can shrink to nearly nothing at the tail.
+					minRadiusPx: 0.75
+				},
+				chevrons: {
+					// Units: unitless fraction of local trail width.
+					// Range: > 0.
+					// +: Longer, more pointed chevrons.
+					// -: Flatter chevrons.
+					lengthScale: 0.55,
+					// Units: unitless fraction of local trail width.
+					// Range: > 0.
+					// +: Heavier chevron strokes.
+					// -: Thinner chevron strokes.
+					thicknessScale: 0.25
+				},
+				comet: {
+					// Units: unitless exponent.
+					// Range: > 0.
+					// +: Width stays near the head and drops off late (blunt comet).
+					// -: Width drops off early (long, needle-like tail).
+					taperPower: 1.5
+				},
+				outline: {
+					// Units: px.
+					// Range: > 0.
+					// +: Heavier outline.
+					// -: Finer outline.
+					lineWidthPx: 1.25
+				}
 			}
 		},
 
@@ -541,8 +693,9 @@
 
 			// Units: Boolean flag.
 			// Range: true | false.
-			// +: true uses a low-call ribbon strip renderer by default.
-			// -: false always uses the legacy per-edge quad path.
+			// +: true uses a low-call ribbon strip renderer (one outline fill per caret track).
+			// -: false always uses the legacy stacked hex cell path.
+			// Applies to trail.style "hex" only.
 			fastPathEnabled: false,
 
 			// Units: Boolean flag.
@@ -685,6 +838,13 @@
 			// -: Enter low-motion shadow-off mode sooner.
 			switchDelayMs: 512,
 
+			// Stop requesting animation frames once every trail has faded, the springs and overshoot
+			// have settled and the idle frame has been drawn. Caret mutations, focus changes, resize
+			// and settings updates wake the loop again.
+			// +: true = an idle editor costs zero frames.
+			// -: false = keep polling every frame (legacy behaviour).
+			parkWhenSettled: true,
+
 			// Units: px.
 			// Range: > 0.
 			// +: Thicker legacy fallback stroke for hollow box.
@@ -700,6 +860,27 @@
 			noCursorHideDelayMs: 50
 		},
 
+		// Multi-cursor tracking (one spring/trail state per visible caret).
+		multiCursor: {
+			// Units: Boolean flag.
+			// Range: true | false.
+			// +: true gives every visible caret of the active editor its own trail and hollow box.
+			// -: false tracks only the primary caret.
+			enabled: true,
+
+			// Units: count (carets).
+			// Range: integer >= 1.
+			// +: Tracks more simultaneous carets; frame budgets are split across more trails.
+			// -: Ignores carets beyond the cap to bound per-frame work.
+			maxCarets: 32,
+
+			// Units: px.
+			// Range: >= 0.
+			// +: Carets may drift farther and still keep their trail when the caret count changes.
+			// -: Re-matching is stricter; more carets start fresh tracks when carets are added/removed.
+			rematchRadiusPx: 48
+		},
+
 		typography: {
 			// Units: em (relative to resolved font size).
 			// Range: > 0.
@@ -749,7 +930,444 @@
 			// Range: true | false.
 			// +: true snaps center to pixel grid, reducing subpixel jitter.
 			// -: false preserves raw subpixel center coordinates.
-			snapCenterToDevicePixel: true
+			snapCenterToDevicePixel: true,
+
+			// Units: Boolean flag.
+			// Range: true | false.
+			// Monaco scrolls by moving .lines-content; its client offset change between caret reads is
+			// the scroll delta.
+			// +: true anchors trail samples, springs, particles and jump arcs to the document: a scroll
+			//    translates them rigidly and only the caret's document-space motion animates.
+			// -: false keeps everything in viewport px; scrolling drags a streak (caretClasses may
+			//    still snap pure scroll hops).
+			scrollCompensation: true
+		},
+
+		// Caret hop classification. Every caret center change is classified as typing, deletion,
+		// newline, jump, scroll or move (plain navigation) and handled with that class's profile.
+		// Edits are seen by observing the editor's .view-lines; scrolls by .lines-content moving
+		// along with the caret.
+		caretClasses: {
+			// Units: Boolean flag.
+			// Range: true | false.
+			// +: true classifies hops and applies per-class profiles.
+			// -: false treats every hop as "move" (no text observer).
+			enabled: true,
+
+			// Units: ms.
+			// Range: >= 0.
+			// A hop counts as an edit when .view-lines changed at most this long before it.
+			// +: Tolerates Monaco rendering text and caret in different frames.
+			// -: Navigation right after typing is less likely to count as an edit.
+			editWindowMs: 120,
+
+			// Units: line heights (vertical) / character widths (horizontal).
+			// Range: > 0.
+			// Non-edit hops at least this far (in document space) are jumps.
+			// +: Only long teleports count as jumps.
+			// -: Shorter navigation (paging, Home/End) counts as jumps too.
+			jumpMinLines: 4,
+			jumpMinChars: 60,
+
+			// Units: px.
+			// Range: >= 0.
+			// A hop that moved with .lines-content within this tolerance is a scroll.
+			scrollEpsilonPx: 1.5,
+
+			// Per-class response:
+			// - trail: emit trail samples (still gated by trail.minMoveCharsForTrail)
+			// - kickScale: multiplier on the distance-based overshoot kick
+			// - pulse: fixed overshoot kick added per hop (kick units, see overshoot.maxKick)
+			// - ttlScale: lifetime multiplier for the trail samples of this hop
+			// - opacityScale: trail opacity multiplier while those samples live
+			// - particles: motion sparks/dust (particles.*); typing dust is particles.typingEnabled
+			// - snap: place the caret box without spring animation
+			profiles: {
+				typing: { trail: false, kickScale: 0, pulse: 2.5, ttlScale: 1, opacityScale: 1, particles: false, snap: false },
+				deletion: { trail: false, kickScale: 0, pulse: 1.5, ttlScale: 1, opacityScale: 1, particles: false, snap: false },
+				newline: { trail: false, kickScale: 0, pulse: 3, ttlScale: 1, opacityScale: 1, particles: false, snap: false },
+				jump: { trail: true, kickScale: 1, pulse: 0, ttlScale: 2.5, opacityScale: 1.35, particles: true, snap: false },
+				scroll: { trail: false, kickScale: 0, pulse: 0, ttlScale: 1, opacityScale: 1, particles: false, snap: true },
+				move: { trail: true, kickScale: 1, pulse: 0, ttlScale: 1, opacityScale: 1, particles: true, snap: false }
+			}
+		},
+
+		// Reaction to host inertia telemetry (bridge section "inertia"); inert without the extension.
+		// speed = inertial velocity / maxStepPerTick, clamped to [0, 1].
+		inertia: {
+			// +: true = trail length/width follow inertial velocity, select mode tints, runs flare.
+			// -: false = trail ignores inertia telemetry.
+			enabled: true,
+
+			// Units: ms.
+			// Range: >= 1.
+			// +: Smoother ramp of speed-driven effects; slower to react.
+			// -: Effects follow velocity changes more tightly.
+			speedSmoothingMs: 120,
+
+			// Units: unitless.
+			// Range: >= 0.
+			// ttlMs is scaled by (1 + ttlGain * speed).
+			// +: Longer trails during fast inertia glides.
+			// -: Trail length independent of inertial velocity.
+			ttlGain: 0.75,
+
+			// Units: unitless extra width scale at full speed.
+			// Range: >= 0.
+			// +: Wider trail during fast inertia glides.
+			// -: Trail width independent of inertial velocity.
+			widthGain: 0.2,
+
+			// Units: CSS color string, theme color id, or null.
+			// Trail color is mixed toward this while inertia select mode is on; null disables the tint.
+			selectColor: "#00D5FFFF",
+
+			// Units: unitless mix factor.
+			// Range: 0 to 1.
+			// +: Select mode tint dominates the trail color.
+			// -: Subtler select mode tint.
+			selectTintMix: 0.45,
+
+			// Units: ms.
+			// Range: > 0.
+			// +: Longer flare after run start or direction switch.
+			// -: Shorter flare.
+			flareMs: 220,
+
+			// Units: unitless extra width scale at flare peak.
+			// Range: >= 0.
+			// +: Stronger flare when an inertia run starts.
+			// -: Weaker flare (0 disables it).
+			flareRunStartGain: 0.35,
+
+			// Units: unitless extra width scale at flare peak.
+			// Range: >= 0.
+			// +: Stronger flare on direction switch.
+			// -: Weaker flare (0 disables it).
+			flareSwitchGain: 0.2
+		},
+
+		// Spark/dust particles emitted by caret hops, overshoot kicks, inertia run starts and
+		// (optionally) typing. Pooled; the live count is the first budget shed under frame pressure.
+		particles: {
+			// Units: Boolean flag.
+			// Range: true | false.
+			// +: true emits particles.
+			// -: false emits none and drops live particles.
+			enabled: false,
+
+			// Units: count (pool size).
+			// Range: integer >= 0.
+			// +: More simultaneous particles; higher fill cost.
+			// -: Fewer particles; bursts get truncated sooner.
+			maxParticles: 160,
+
+			// Units: perfQuality.
+			// Range: (performance.qualityMin, 1].
+			// The live cap scales from maxParticles here down to 0 at performance.qualityMin.
+			// +: Particles shed earlier, before any trail detail is reduced.
+			// -: Particles survive more frame pressure.
+			qualityShedStart: 0.9,
+
+			// Units: ms.
+			// Range: > 0.
+			// +: Particles linger longer.
+			// -: Shorter-lived sparks.
+			ttlMs: 480,
+
+			// Units: unitless fraction of ttlMs.
+			// Range: [0, 1].
+			// +: More varied lifetimes; bursts dissolve gradually.
+			// -: Burst particles vanish together.
+			ttlJitter: 0.35,
+
+			// Units: px/s^2 (positive = down).
+			// Range: any.
+			// +: Particles fall faster.
+			// -: Particles float (negative values rise).
+			gravityPxPerSec2: 260,
+
+			// Units: 1/s (exponential velocity decay rate).
+			// Range: >= 0.
+			// +: Particles stop sooner, dust-like.
+			// -: Particles fly farther, spark-like.
+			dragPerSec: 3.5,
+
+			// Units: px (square side).
+			// Range: > 0.
+			// +: Larger particles.
+			// -: Finer particles.
+			sizePx: 1.8,
+
+			// Units: unitless fraction of sizePx.
+			// Range: [0, 1].
+			// +: More varied particle sizes.
+			// -: Uniform particle size.
+			sizeJitter: 0.5,
+
+			// Units: CSS color string, theme color id, or null.
+			// null => trail color (including the select mode tint).
+			color: null,
+
+			// Units: unitless alpha at birth, fading to 0 over the particle's life.
+			// Range: [0, 1], or null => trail `opacity`.
+			opacity: null,
+
+			// Units: px/s.
+			// Range: >= 0.
+			// +: Faster launch; wider bursts.
+			// -: Particles stay close to where they were emitted.
+			speedPxPerSec: 160,
+
+			// Units: unitless fraction of speedPxPerSec.
+			// Range: [0, 1].
+			// +: More varied launch speeds.
+			// -: Uniform launch speed.
+			speedJitter: 0.5,
+
+			// Units: degrees (half-angle around the launch direction).
+			// Range: [0, 180].
+			// +: Wider fan of directed bursts.
+			// -: Tighter, jet-like bursts.
+			spreadDeg: 50,
+
+			// Units: px (caret hop distance).
+			// Range: >= 0.
+			// Hops at least this long leave sparks along their path, thrown backwards.
+			// +: Only long jumps emit.
+			// -: Shorter hops emit as well.
+			moveMinPx: 48,
+
+			// Units: particles per px of hop distance.
+			// Range: >= 0.
+			// +: Denser spark trails.
+			// -: Sparser spark trails.
+			movePerPx: 0.06,
+
+			// Units: count (particles per hop).
+			// Range: integer >= 0.
+			// +: Long jumps emit more.
+			// -: Caps long-jump bursts harder.
+			moveMaxBurst: 14,
+
+			// Units: particles at overshoot.maxKick (scales linearly with the kick).
+			// Range: >= 0.
+			// Dust puff where the caret lands; needs overshoot.enabled.
+			// +: Bigger landing puffs.
+			// -: Smaller puffs (0 disables them).
+			kickBurst: 8,
+
+			// Units: count (particles per caret).
+			// Range: integer >= 0.
+			// Thrown against the run direction when a host inertia run starts.
+			// +: Bigger burst on run start.
+			// -: Smaller burst (0 disables it).
+			runStartBurst: 14,
+
+			// Units: Boolean flag.
+			// Range: true | false.
+			// +: true puffs a little dust on typing hops (caretClasses).
+			// -: false keeps typing quiet.
+			typingEnabled: false,
+
+			// Units: count (particles per typed hop).
+			// Range: integer >= 0.
+			typingBurst: 3
+		},
+
+		// Long-jump mode. Hops past the spring stretch limit (S, see dynamics.maxTrailDistanceFactor)
+		// only stretch the caret box part of the way, so the trail looks cut off. Navigation hops
+		// (caretClasses "jump" or "move") reaching minDistanceFactor * S along either axis instead
+		// sweep an arc from the old caret position to the new one and flash the destination line.
+		jumpArc: {
+			// Units: Boolean flag.
+			// Range: true | false.
+			// +: true draws the arc and line flash for long jumps.
+			// -: false leaves long jumps to the springs and trail.
+			enabled: true,
+
+			// Units: unitless multiplier on S.
+			// Range: > 0.
+			// +: Only longer jumps get an arc.
+			// -: Shorter hops get an arc as well (below 1 they are not clamped yet).
+			minDistanceFactor: 1,
+
+			// Units: Boolean flag.
+			// Range: true | false.
+			// +: true snaps the caret box and skips the trail for arc jumps.
+			// -: false keeps the (clamped) spring stretch and trail under the arc.
+			replaceTrail: true,
+
+			// Units: ms.
+			// Range: > 0.
+			// +: Slower sweep from source to destination.
+			// -: Snappier sweep.
+			sweepMs: 220,
+
+			// Units: ms.
+			// Range: > 0.
+			// +: Arc lingers longer after reaching the destination.
+			// -: Arc vanishes sooner.
+			fadeMs: 260,
+
+			// Units: unitless fraction of the jump distance.
+			// Range: >= 0.
+			// Sideways offset of the arc's control point; the arc bows upward where possible.
+			// +: Rounder arc.
+			// -: Flatter arc (0 = straight beam).
+			bend: 0.18,
+
+			// Units: unitless fraction of the arc.
+			// Range: (0, 1].
+			// +: Longer beam behind the sweeping head.
+			// -: Shorter, comet-like beam.
+			beamLength: 0.45,
+
+			// Units: px.
+			// Range: > 0.
+			// +: Thicker beam.
+			// -: Thinner beam.
+			lineWidthPx: 2.5,
+
+			// Units: CSS color string, theme color id, or null.
+			// null => trail color (including the select mode tint).
+			color: null,
+
+			// Units: unitless alpha.
+			// Range: [0, 1].
+			// +: More visible arc.
+			// -: Fainter arc.
+			opacity: 0.9,
+
+			// Units: ms.
+			// Range: >= 0.
+			// The destination line flashes once the sweep arrives and fades over this time.
+			// +: Longer flash.
+			// -: Shorter flash (0 disables it).
+			flashMs: 420,
+
+			// Units: unitless alpha at the start of the flash.
+			// Range: [0, 1].
+			// +: Brighter line flash.
+			// -: Subtler line flash.
+			flashOpacity: 0.18,
+
+			// Units: CSS color string, theme color id, or null.
+			// null => arc color.
+			flashColor: null,
+
+			// Units: count (simultaneous arcs).
+			// Range: integer >= 1.
+			// Multi-cursor jumps start one arc per caret; the oldest arcs give way beyond the cap.
+			maxArcs: 4
+		},
+
+		// Edge indicator for a primary caret scrolled out of view (bridge section "caret" from the
+		// extension host; inert without it). An arrow with a glow band sits on the canvas edge toward
+		// the caret, at the caret's last visible x, in the trail color.
+		offscreen: {
+			// Units: Boolean flag.
+			// Range: true | false.
+			// +: true keeps the canvas up with the indicator while the caret is off-screen.
+			// -: false hides the canvas after visibility.noCursorHideDelayMs (legacy behaviour).
+			enabled: true,
+
+			// Units: px (arrow half-width; the arrow is as tall).
+			// Range: > 0.
+			// +: Larger arrow and click target.
+			// -: Smaller arrow.
+			sizePx: 8,
+
+			// Units: px.
+			// Range: >= 0.
+			// +: Arrow sits farther from the edge.
+			// -: Arrow hugs the edge.
+			marginPx: 6,
+
+			// Units: unitless alpha.
+			// Range: [0, 1].
+			// +: More prominent arrow.
+			// -: Fainter arrow.
+			opacity: 0.85,
+
+			// Units: px.
+			// Range: >= 0.
+			// +: Stronger glow around the arrow.
+			// -: Crisper arrow (0 disables the glow).
+			glowBlurPx: 10,
+
+			// Units: px.
+			// Range: >= 0.
+			// Gradient band along the whole edge, fading inward.
+			// +: Taller band.
+			// -: Shorter band (0 disables it).
+			bandPx: 14,
+
+			// Units: unitless alpha at the edge.
+			// Range: [0, 1].
+			bandOpacity: 0.35,
+
+			// Units: Boolean flag.
+			// Range: true | false.
+			// +: true makes the arrow clickable; a click asks the host to reveal the caret.
+			// -: false leaves the arrow purely visual (command "VelCursor: Reveal Cursor" still works).
+			clickToReveal: true
+		},
+
+		// Editor groups: every editor (split groups, both sides of a diff) gets its own canvas. The
+		// focused editor runs the full effect; the others fade out what they showed and keep a static
+		// caret box.
+		groups: {
+			// Units: unitless alpha multiplier of box.opacity.
+			// Range: [0, 1].
+			// +: Inactive editors' caret boxes closer to the active one.
+			// -: Fainter boxes (0 hides them).
+			inactiveBoxOpacity: 0.35
+		},
+
+		// Cursor sources by surface kind (see SECTION 3). A disabled kind gets no canvas; focusing it
+		// leaves the previous surface active.
+		sources: {
+			// Units: Boolean flag.
+			// Range: true | false.
+			// +: true tracks plain text editors (including split groups and peek views).
+			// -: false leaves them without effect.
+			editor: true,
+
+			// Units: Boolean flag.
+			// Range: true | false.
+			// +: true tracks the modified side of diff editors; it also wins discovery over the
+			//    original side while no editor has focus.
+			// -: false leaves it without effect.
+			diffModified: true,
+
+			// Units: Boolean flag.
+			// Range: true | false.
+			// +: true tracks the original side of diff editors while it has focus.
+			// -: false keeps the trail on the previous surface (usually the modified side).
+			diffOriginal: true,
+
+			// Units: Boolean flag.
+			// Range: true | false.
+			// +: true gives each notebook one surface shared by its cell editors, so the trail
+			//    carries across cells and survives cell editors being re-created.
+			// -: false leaves notebooks without effect.
+			notebook: true,
+
+			// Units: Boolean flag.
+			// Range: true | false.
+			// +: true tracks the integrated terminal's cursor (xterm.js).
+			// -: false leaves terminals without effect.
+			terminal: true
+		},
+
+		// Host settings bridge (status bar beacon published by the extension host).
+		bridge: {
+			// Units: ms.
+			// Range: > 0.
+			// +: Looks for the host beacon less often; cheaper but slower to connect.
+			// -: Connects sooner after startup or after the status bar is re-rendered.
+			beaconPollIntervalMs: 1000
 		}
 	};
 
@@ -806,14 +1424,24 @@
 			lineHeightPx = fontSizePx * CFG.typography.lineHeightFallbackMultiplier;
 		}
 
-		return {
-			width: Math.max(CFG.typography.minCaretWidthPx, fontSizePx * CFG.typography.caretWidthEm),
-			height: Math.max(CFG.typography.minLineHeightPx, lineHeightPx),
-			fontSizePx,
-			lineHeightPx
-		};
+		return fontBoxFromMetrics(fontSizePx, lineHeightPx);
+	};
+
+	// Cell-based cursors (terminal): the cell height is the line height.
+	const resolveCellFontBox = (fontEl, cellRect) => {
+		const lineHeightPx = cellRect.height;
+		let fontSizePx = parsePx(window.getComputedStyle(fontEl).fontSize);
+		if (!(fontSizePx > 0)) fontSizePx = lineHeightPx / CFG.typography.lineHeightFallbackMultiplier;
+		return fontBoxFromMetrics(fontSizePx > 0 ? fontSizePx : 14, lineHeightPx);
 	};
 
+	const fontBoxFromMetrics = (fontSizePx, lineHeightPx) => ({
+		width: Math.max(CFG.typography.minCaretWidthPx, fontSizePx * CFG.typography.caretWidthEm),
+		height: Math.max(CFG.typography.minLineHeightPx, lineHeightPx),
+		fontSizePx,
+		lineHeightPx
+	});
+
 	const snapToDevicePixel = (v) => {
 		if (!CFG.motion.snapCenterToDevicePixel) return v;
 		const dpr = window.devicePixelRatio || 1;
@@ -832,7 +1460,7 @@
 		return len ? { x: x / len, y: y / len } : { x: 0, y: 0 };
 	};
 
-	const resolveColor = (hex) => {
+	const parseHexColor = (hex) => {
 		let h = hex.startsWith("#") ? hex.slice(1) : hex;
 		h = h.toUpperCase();
 		if (h.length === 3) h = h[0] + h[0] + h[1] + h[1] + h[2] + h[2];
@@ -844,35 +1472,91 @@
 		return { r, g, b, a };
 	};
 
+	const RGB_FUNCTION_RE = /^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:[\s,/]+([\d.]+%?))?\s*\)$/i;
+	// Theme color ids look like "editorCursor.foreground"; hex and rgb() values never match.
+	const THEME_COLOR_ID_RE = /^[A-Za-z][\w-]*(\.[\w-]+)*$/;
+
+	const parseCssColor = (value) => {
+		const v = value.trim();
+		if (v.startsWith("#")) return parseHexColor(v);
+		const m = RGB_FUNCTION_RE.exec(v);
+		if (!m) return null;
+		let alpha = m[4] === undefined ? 1 : parseFloat(m[4]);
+		if (m[4]?.endsWith("%")) alpha /= 100;
+		return {
+			r: clamp(Math.round(parseFloat(m[1])), 0, 255),
+			g: clamp(Math.round(parseFloat(m[2])), 0, 255),
+			b: clamp(Math.round(parseFloat(m[3])), 0, 255),
+			a: Math.round(255 * clamp(alpha, 0, 1))
+		};
+	};
+
+	// VS Code exposes every theme color as a CSS variable on the workbench, e.g.
+	// editorCursor.foreground -> --vscode-editorCursor-foreground.
+	const readThemeColor = (id) => {
+		const root = document.querySelector(".monaco-workbench") || document.documentElement;
+		return window.getComputedStyle(root).getPropertyValue(`--vscode-${id.replace(/\./g, "-")}`).trim();
+	};
+
+	// Accepts hex, rgb()/rgba() or a theme color id. Unresolvable values fall back to opaque white.
+	// Theme colors are read from the DOM, so callers cache the result (see renderStyleCache).
+	const resolveColor = (color) => {
+		const value = THEME_COLOR_ID_RE.test(color) ? readThemeColor(color) : color;
+		return (value && parseCssColor(value)) || { r: 255, g: 255, b: 255, a: 255 };
+	};
+
+	const CARET_THEME_COLOR = "editorCursor.foreground";
 	const rgbaCss = ({ r, g, b, a }) => `rgba(${r}, ${g}, ${b}, ${a / 255})`;
 	const TRAIL_WIDTH_ENVELOPE_AT = (frac) => 0.20 + 0.80 * (1 - frac);
 	// Throttle expensive getComputedStyle font metric reads while keeping updates responsive.
 	const FONT_METRIC_CACHE_MS = 250;
 	// Cache resolved RGBA strings so hot-path draw avoids repeated hex parsing every frame.
+	// themeSerial is part of every key: bumping it re-resolves theme color ids after a theme change.
 	const renderStyleCache = {
+		themeSerial: 0,
 		trailKey: "",
 		trailOpacity: 1,
 		trailColorCss: "rgba(255, 255, 255, 1)",
+		// "r, g, b" of the trail color, for per-stop alpha in gradients.
+		trailRgbCss: "255, 255, 255",
 		boxKey: "",
 		boxOpacity: 1,
 		boxColorCss: "rgba(255, 255, 255, 1)",
 		shadowKey: "",
-		shadowColorCss: "rgba(255, 255, 255, 1)"
+		shadowColorCss: "rgba(255, 255, 255, 1)",
+		// Opaque; particles fade through globalAlpha.
+		particleKey: "",
+		particleColorCss: "rgb(255, 255, 255)",
+		// Opaque as well; jump arcs and line flashes fade through globalAlpha.
+		jumpKey: "",
+		jumpArcColorCss: "rgb(255, 255, 255)",
+		jumpFlashColorCss: "rgb(255, 255, 255)",
+		// Opaque; the custom caret fades (and blinks) through globalAlpha.
+		caretKey: "",
+		caretColorCss: "rgb(255, 255, 255)"
 	};
-	const getRenderStyles = () => {
+	// selectTint: mix the trail color toward inertia.selectColor (inertia select mode).
+	const getRenderStyles = (selectTint = false) => {
 		const trailOpacity = clamp(CFG.opacity, 0, 1);
-		const trailKey = `${CFG.color}|${trailOpacity}`;
+		const tintColor = selectTint ? CFG.inertia.selectColor : null;
+		const tintMix = clamp(CFG.inertia.selectTintMix, 0, 1);
+		const theme = renderStyleCache.themeSerial;
+		const trailKey = tintColor
+			? `${theme}|${CFG.color}|${trailOpacity}|${tintColor}|${tintMix}`
+			: `${theme}|${CFG.color}|${trailOpacity}`;
 		if (trailKey !== renderStyleCache.trailKey) {
 			const trailBase = resolveColor(CFG.color);
+			if (tintColor) mixRgbInto(trailBase, resolveColor(tintColor), tintMix);
 			trailBase.a = Math.round(255 * trailOpacity);
 			renderStyleCache.trailOpacity = trailOpacity;
 			renderStyleCache.trailColorCss = rgbaCss(trailBase);
+			renderStyleCache.trailRgbCss = `${trailBase.r}, ${trailBase.g}, ${trailBase.b}`;
 			renderStyleCache.trailKey = trailKey;
 		}
 
 		const boxOpacity = clamp(CFG.box.opacity ?? trailOpacity, 0, 1);
 		const boxColor = CFG.box.color ?? CFG.color;
-		const boxKey = `${boxColor}|${boxOpacity}`;
+		const boxKey = `${theme}|${boxColor}|${boxOpacity}`;
 		if (boxKey !== renderStyleCache.boxKey) {
 			const boxBase = resolveColor(boxColor);
 			boxBase.a = Math.round(255 * boxOpacity);
@@ -881,35 +1565,293 @@
 			renderStyleCache.boxKey = boxKey;
 		}
 
-		const shadowKey = CFG.shadow.color ?? "__trail__";
+		const shadowKey = `${theme}|${CFG.shadow.color ?? "__trail__"}`;
 		if (shadowKey !== renderStyleCache.shadowKey) {
 			renderStyleCache.shadowColorCss = CFG.shadow.color ? rgbaCss(resolveColor(CFG.shadow.color)) : "";
 			renderStyleCache.shadowKey = shadowKey;
 		}
 
+		// particles.color null follows the (tinted) trail color.
+		const particleColor = CFG.particles.color;
+		const particleKey = particleColor ? `${theme}|${particleColor}` : `trail|${trailKey}`;
+		if (particleKey !== renderStyleCache.particleKey) {
+			const c = particleColor ? resolveColor(particleColor) : null;
+			const rgb = c ? `${c.r}, ${c.g}, ${c.b}` : renderStyleCache.trailRgbCss;
+			renderStyleCache.particleColorCss = `rgb(${rgb})`;
+			renderStyleCache.particleKey = particleKey;
+		}
+
+		// jumpArc.color null follows the (tinted) trail color; flashColor null follows the arc.
+		const { color: arcColor, flashColor } = CFG.jumpArc;
+		const jumpKey = `${theme}|${arcColor ?? `trail|${trailKey}`}|${flashColor}`;
+		if (jumpKey !== renderStyleCache.jumpKey) {
+			const arc = arcColor ? resolveColor(arcColor) : null;
+			const arcRgb = arc ? `${arc.r}, ${arc.g}, ${arc.b}` : renderStyleCache.trailRgbCss;
+			const flash = flashColor ? resolveColor(flashColor) : null;
+			renderStyleCache.jumpArcColorCss = `rgb(${arcRgb})`;
+			renderStyleCache.jumpFlashColorCss = flash ? `rgb(${flash.r}, ${flash.g}, ${flash.b})` : `rgb(${arcRgb})`;
+			renderStyleCache.jumpKey = jumpKey;
+		}
+
+		// caret.color null follows the editor's own caret color.
+		const caretKey = `${theme}|${CFG.caret.color ?? CARET_THEME_COLOR}`;
+		if (caretKey !== renderStyleCache.caretKey) {
+			const c = resolveColor(CFG.caret.color ?? CARET_THEME_COLOR);
+			renderStyleCache.caretColorCss = `rgb(${c.r}, ${c.g}, ${c.b})`;
+			renderStyleCache.caretKey = caretKey;
+		}
+
 		return renderStyleCache;
 	};
 
+	const mixRgbInto = (base, tint, mix) => {
+		base.r = Math.round(base.r + (tint.r - base.r) * mix);
+		base.g = Math.round(base.g + (tint.g - base.g) * mix);
+		base.b = Math.round(base.b + (tint.b - base.b) * mix);
+		return base;
+	};
+
+	// Hue rotation as in the CSS hue-rotate() filter (luma-preserving matrix).
+	const rotateHueInto = (c, deg) => {
+		const a = (deg * Math.PI) / 180;
+		const cos = Math.cos(a);
+		const sin = Math.sin(a);
+		const { r, g, b } = c;
+		c.r = clamp(Math.round(r * (0.213 + cos * 0.787 - sin * 0.213) + g * (0.715 - cos * 0.715 - sin * 0.715) + b * (0.072 - cos * 0.072 + sin * 0.928)), 0, 255);
+		c.g = clamp(Math.round(r * (0.213 - cos * 0.213 + sin * 0.143) + g * (0.715 + cos * 0.285 + sin * 0.14) + b * (0.072 - cos * 0.072 - sin * 0.283)), 0, 255);
+		c.b = clamp(Math.round(r * (0.213 - cos * 0.213 - sin * 0.787) + g * (0.715 - cos * 0.715 + sin * 0.715) + b * (0.072 + cos * 0.928 + sin * 0.072)), 0, 255);
+		return c;
+	};
+
+	// Color ramp lookup table, rebuilt only when its inputs change. Hue cycling precomputes
+	// COLOR_RAMP_HUE_STEPS rotated copies, so per-cell lookups never build strings.
+	// Entry i of hue step h lives at h * size + i; css carries the trail opacity, rgb is "r, g, b".
+	const COLOR_RAMP_HUE_STEPS = 72;
+	const colorRampCache = { key: "", size: 0, hueSteps: 1, css: [], rgb: [] };
+	// Per-frame view handed to the draw paths through drawScratch.ramp.
+	const colorRampFrame = { css: null, rgb: null, size: 0, offset: 0, mode: "none", ttl: 1 };
+
+	const getColorRamp = (trailOpacity, selectTint) => {
+		const c = CFG.colorRamp;
+		if (c.mode === "none" || c.stops.length === 0) return null;
+		const size = Math.max(2, Math.round(c.lutSize) || 2);
+		const hueSteps = c.hueCycleDegPerSec ? COLOR_RAMP_HUE_STEPS : 1;
+		const tintColor = selectTint ? CFG.inertia.selectColor : null;
+		const tintMix = clamp(CFG.inertia.selectTintMix, 0, 1);
+		const key = `${renderStyleCache.themeSerial}|${c.stops.join(",")}|${size}|${hueSteps}|${trailOpacity}|${tintColor}|${tintMix}`;
+		const cache = colorRampCache;
+		if (key === cache.key) return cache;
+
+		const stops = c.stops.map(resolveColor);
+		const tint = tintColor ? resolveColor(tintColor) : null;
+		const color = { r: 0, g: 0, b: 0 };
+		cache.css.length = 0;
+		cache.rgb.length = 0;
+		for (let h = 0; h < hueSteps; h++) {
+			for (let i = 0; i < size; i++) {
+				const pos = (i / (size - 1)) * (stops.length - 1);
+				const k = Math.min(stops.length - 1, Math.floor(pos));
+				const s0 = stops[k];
+				const s1 = stops[Math.min(stops.length - 1, k + 1)];
+				const f = pos - k;
+				color.r = Math.round(lerp(s0.r, s1.r, f));
+				color.g = Math.round(lerp(s0.g, s1.g, f));
+				color.b = Math.round(lerp(s0.b, s1.b, f));
+				if (h > 0) rotateHueInto(color, (h * 360) / hueSteps);
+				if (tint) mixRgbInto(color, tint, tintMix);
+				const rgb = `${color.r}, ${color.g}, ${color.b}`;
+				cache.rgb.push(rgb);
+				cache.css.push(rgbaCss({ r: color.r, g: color.g, b: color.b, a: Math.round(255 * trailOpacity) }));
+			}
+		}
+		cache.size = size;
+		cache.hueSteps = hueSteps;
+		cache.key = key;
+		return cache;
+	};
+
+	const resolveColorRampFrame = (wallNowMs, ttl, trailOpacity, selectTint) => {
+		const cache = getColorRamp(trailOpacity, selectTint);
+		if (!cache) return null;
+		const frame = colorRampFrame;
+		let hueStep = 0;
+		if (cache.hueSteps > 1) {
+			const deg = (((wallNowMs / 1000) * CFG.colorRamp.hueCycleDegPerSec) % 360 + 360) % 360;
+			hueStep = Math.floor((deg / 360) * cache.hueSteps) % cache.hueSteps;
+		}
+		frame.css = cache.css;
+		frame.rgb = cache.rgb;
+		frame.size = cache.size;
+		frame.offset = hueStep * cache.size;
+		frame.mode = CFG.colorRamp.mode;
+		frame.ttl = Math.max(1, ttl);
+		return frame;
+	};
+
+	const colorRampIndex = (frame, t) => frame.offset + Math.round(clamp(t, 0, 1) * (frame.size - 1));
+
 	// ======================================================================
-	// SECTION 3: Monaco cursor discovery
+	// SECTION 3: Cursor sources
 	// ======================================================================
 
-	function findMonacoCursorEl() {
-		const cursors = document.querySelectorAll(".monaco-editor .cursor");
-		for (const el of cursors) {
+	const isVisibleRect = (r) => r.width > 0 && r.height > 0;
+
+	// First match in rootEl that is not inside a nested editor (peek views, inline diffs).
+	function findOwnDescendant(rootEl, selector) {
+		for (const el of rootEl.querySelectorAll(selector)) {
+			if (el.closest(".monaco-editor") === rootEl) return el;
+		}
+		return null;
+	}
+
+	// First visible caret of one editor.
+	function findMonacoCursorEl(editorEl) {
+		for (const el of editorEl.querySelectorAll(".cursor")) {
+			if (el.closest(".monaco-editor") !== editorEl) continue;
+			if (isVisibleRect(el.getBoundingClientRect())) return el;
+		}
+		return null;
+	}
+
+	// Visible carets of one editor in DOM order (Monaco renders the primary first).
+	function collectMonacoCarets(editorEl, primaryEl, out, limit) {
+		const candidates = limit > 1 ? editorEl.querySelectorAll(".cursor") : [primaryEl];
+		for (const el of candidates) {
+			if (out.length >= limit) break;
+			if (el.closest(".monaco-editor") !== editorEl) continue;
 			const r = el.getBoundingClientRect();
-			if (r.width > 0 && r.height > 0) return el;
+			if (isVisibleRect(r)) out.push({ el, rect: r, track: null });
+		}
+		return out;
+	}
+
+	const monacoLayoutTargets = (editorEl) => ({
+		layer: findOwnDescendant(editorEl, ".cursors-layer"),
+		content: findOwnDescendant(editorEl, ".lines-content"),
+		lines: findOwnDescendant(editorEl, ".view-lines")
+	});
+
+	// A cursor source owns one kind of surface: the element (root) one overlay canvas belongs to.
+	// - rootSelector: surface roots; sources are tried in order, first closest() match wins
+	// - focusSelector: the source's own focus marker, for when document.activeElement says nothing
+	// - kindOf(root): CFG.sources flag of the surface
+	// - primaryCaret(root, prevEl): primary caret element (prevEl: the last one), or null
+	// - collectCarets(root, primaryEl, out, limit): visible { el, rect, track: null }, primary first
+	// - host(root): element the canvas is attached to
+	// - layoutTargets(root, primaryEl): { layer, content, lines } for the caret observers; content
+	//   moves on scroll, lines changes on edits (both optional)
+	// - fontBox(primaryEl, rect): caret box metrics (resolveFontMetricBox shape)
+	// - caretModes: carets are Monaco's, so CFG.caret can hide and replace them (layoutTargets'
+	//   layer is their .cursors-layer)
+
+	// Notebooks: every cell is an editor and cells re-create their editors as they scroll in and
+	// out, so the notebook is the surface and the focused cell editor supplies the carets.
+	const NOTEBOOK_SOURCE = {
+		rootSelector: ".notebookOverlay",
+		focusSelector: null,
+		kindOf: () => "notebook",
+		primaryCaret(root, prevEl) {
+			const cell = root.querySelector(".monaco-editor.focused");
+			if (!cell) return prevEl && root.contains(prevEl) ? prevEl : null;
+			return prevEl && prevEl.closest(".monaco-editor") === cell ? prevEl : findMonacoCursorEl(cell);
+		},
+		collectCarets: (root, primaryEl, out, limit) =>
+			collectMonacoCarets(primaryEl.closest(".monaco-editor"), primaryEl, out, limit),
+		host: (root) => root.querySelector(".cell-list-container") || root,
+		layoutTargets(root, primaryEl) {
+			const cell = primaryEl?.closest(".monaco-editor");
+			// The cell list scrolls by moving its rows, not the cell editors' content.
+			return {
+				layer: cell ? findOwnDescendant(cell, ".cursors-layer") : null,
+				content: root.querySelector(".monaco-list-rows"),
+				lines: cell ? findOwnDescendant(cell, ".view-lines") : null
+			};
+		},
+		fontBox: (primaryEl) => resolveFontMetricBox(primaryEl),
+		caretModes: true
+	};
+
+	// Integrated terminal (xterm.js). The DOM renderer draws the cursor as an element; the GPU
+	// renderers draw it on their canvas, but xterm keeps its helper textarea on the cursor cell for
+	// IME, so that stands in. Terminal scrolling is not a DOM offset: no scroll compensation.
+	const TERMINAL_SOURCE = {
+		rootSelector: ".xterm",
+		focusSelector: ".xterm.focus",
+		kindOf: () => "terminal",
+		primaryCaret: (root) =>
+			root.querySelector(".xterm-rows .xterm-cursor") ?? root.querySelector(".xterm-helper-textarea"),
+		collectCarets(root, primaryEl, out) {
+			const r = primaryEl.getBoundingClientRect();
+			// The textarea follows the cursor row of the buffer even while the viewport shows history.
+			const screen = (root.querySelector(".xterm-screen") ?? root).getBoundingClientRect();
+			const cx = r.left + r.width / 2;
+			const cy = r.top + r.height / 2;
+			const inside = cx >= screen.left && cx <= screen.right && cy >= screen.top && cy <= screen.bottom;
+			if (isVisibleRect(r) && inside) out.push({ el: primaryEl, rect: r, track: null });
+			return out;
+		},
+		host: (root) => root.querySelector(".xterm-screen") || root,
+		// Cursor moves restyle the textarea (or re-render the DOM rows), all inside .xterm-screen.
+		layoutTargets: (root) => ({ layer: root.querySelector(".xterm-screen") ?? root, content: null, lines: null }),
+		fontBox(primaryEl, rect) {
+			const rows = primaryEl.closest(".xterm")?.querySelector(".xterm-rows") ?? primaryEl;
+			return resolveCellFontBox(rows, rect);
+		},
+		caretModes: false
+	};
+
+	const MONACO_SOURCE = {
+		rootSelector: ".monaco-editor",
+		focusSelector: ".monaco-editor.focused",
+		kindOf(root) {
+			if (!root.parentElement?.closest(".monaco-diff-editor")) return "editor";
+			const side = root.parentElement.closest(".editor.original, .editor.modified");
+			return side?.classList.contains("original") ? "diffOriginal" : "diffModified";
+		},
+		primaryCaret: (root, prevEl) =>
+			prevEl && prevEl.closest(".monaco-editor") === root ? prevEl : findMonacoCursorEl(root),
+		collectCarets: (root, primaryEl, out, limit) => collectMonacoCarets(root, primaryEl, out, limit),
+		host: (root) => root.querySelector(".overflow-guard") || root,
+		layoutTargets: (root) => monacoLayoutTargets(root),
+		fontBox: (primaryEl) => resolveFontMetricBox(primaryEl),
+		caretModes: true
+	};
+
+	// Notebooks before editors: their cells are editors.
+	const CURSOR_SOURCES = [NOTEBOOK_SOURCE, TERMINAL_SOURCE, MONACO_SOURCE];
+	const FOCUS_SELECTOR = CURSOR_SOURCES.map((source) => source.focusSelector).filter(Boolean).join(", ");
+
+	function sourceOfRoot(root) {
+		return CURSOR_SOURCES.find((source) => root.matches(source.rootSelector)) ?? null;
+	}
+
+	// Surface root containing el; null when there is none or its kind is disabled (CFG.sources).
+	function findSurfaceRoot(el) {
+		if (!el?.closest) return null;
+		for (const source of CURSOR_SOURCES) {
+			const root = el.closest(source.rootSelector);
+			if (root) return CFG.sources[source.kindOf(root)] ? root : null;
 		}
 		return null;
 	}
 
-	function findCanvasHostForCursorEl(cursorEl) {
-		if (!cursorEl) return null;
-		const editor = cursorEl.closest(".monaco-editor");
-		if (!editor) return null;
-		return editor.querySelector(".overflow-guard") || editor;
+	// Surface to show before anything has focus: the first editor with a visible caret, the modified
+	// side of a diff before its original side. Terminals are only picked up through focus.
+	function discoverSurfaceRoot() {
+		let original = null;
+		for (const el of document.querySelectorAll(".monaco-editor .cursor")) {
+			if (!isVisibleRect(el.getBoundingClientRect())) continue;
+			const root = findSurfaceRoot(el);
+			if (!root) continue;
+			if (sourceOfRoot(root).kindOf(root) !== "diffOriginal") return root;
+			original ??= root;
+		}
+		return original;
 	}
 
+	// Monaco's carets stay above the canvas (z-index 5). Caret mode "custom" hides them through
+	// opacity in the layer marked by observeCaretLayout, so Monaco still toggles their visibility
+	// for blinking (resolveCustomCaret).
 	function ensureNativeCaretLayerStyle() {
 		const id = "__vel_cursor_native_caret_layer__";
 		let tag = document.getElementById(id);
@@ -921,6 +1863,7 @@
 		tag.textContent = `
 			.monaco-editor .cursors-layer { z-index: 6 !important; }
 			.monaco-editor .cursor { z-index: 7 !important; }
+			.monaco-editor .cursors-layer[data-vel-caret="custom"] > .cursor { opacity: 0 !important; }
 		`;
 		return tag;
 	}
@@ -929,32 +1872,43 @@
 	// SECTION 4: Canvas overlay
 	// ======================================================================
 
+	// One canvas per editor surface; attachCanvasToHost moves it into the editor.
 	function makeCanvas() {
-		const id = "__vel_cursor_canvas__";
-		let canvas = document.getElementById(id);
-
-		if (!canvas) {
-			canvas = document.createElement("canvas");
-			canvas.id = id;
-			canvas.style.position = "absolute";
-			canvas.style.left = "0";
-			canvas.style.top = "0";
-			canvas.style.width = "100%";
-			canvas.style.height = "100%";
-			canvas.style.pointerEvents = "none";
-			// Keep custom trail/cursor above text but below Monaco caret layers.
-			canvas.style.zIndex = "5";
-			canvas.style.opacity = "0";
-			document.body.appendChild(canvas);
-		}
+		const canvas = document.createElement("canvas");
+		canvas.className = "__vel_cursor_canvas__";
+		canvas.style.position = "absolute";
+		canvas.style.left = "0";
+		canvas.style.top = "0";
+		canvas.style.width = "100%";
+		canvas.style.height = "100%";
+		canvas.style.pointerEvents = "none";
+		// Keep custom trail/cursor above text but below Monaco caret layers.
+		canvas.style.zIndex = "5";
+		canvas.style.opacity = "0";
 
 		const ctx = canvas.getContext("2d", { alpha: true, desynchronized: true });
 		return { canvas, ctx };
 	}
 
-	function resizeCanvas(canvas) {
+	// Clickable area over the off-screen indicator; the canvas itself never takes pointer events.
+	function makeRevealTarget() {
+		const id = "__vel_cursor_reveal_target__";
+		let el = document.getElementById(id);
+
+		if (!el) {
+			el = document.createElement("div");
+			el.id = id;
+			el.style.position = "absolute";
+			el.style.cursor = "pointer";
+			el.style.zIndex = "6";
+			el.style.display = "none";
+		}
+
+		return el;
+	}
+
+	function resizeCanvas(canvas, r = canvas.getBoundingClientRect()) {
 		const dpr = window.devicePixelRatio || 1;
-		const r = canvas.getBoundingClientRect();
 		const w = Math.max(1, Math.floor(r.width * dpr));
 		const h = Math.max(1, Math.floor(r.height * dpr));
 		if (canvas.width !== w || canvas.height !== h) {
@@ -963,16 +1917,29 @@
 		}
 	}
 
-	function attachCanvasToHost(canvas, host) {
+	// patchedHosts: host -> inline `position` before it was forced to relative (see restoreHostPositions).
+	function attachCanvasToHost(canvas, host, patchedHosts) {
 		if (!host) return;
 		if (canvas.parentElement === host) return;
 		if (window.getComputedStyle(host).position === "static") {
+			if (patchedHosts && !patchedHosts.has(host)) patchedHosts.set(host, host.style.position);
 			host.style.position = "relative";
 		}
 		host.appendChild(canvas);
 	}
 
-	function roundRectPath(ctx, x, y, w, h, r) {
+	function restoreHostPosition(patchedHosts, host) {
+		if (!patchedHosts.has(host)) return;
+		// Leave hosts alone if something else has restyled them since.
+		if (host.style.position === "relative") host.style.position = patchedHosts.get(host);
+		patchedHosts.delete(host);
+	}
+
+	function restoreHostPositions(patchedHosts) {
+		for (const host of [...patchedHosts.keys()]) restoreHostPosition(patchedHosts, host);
+	}
+
+	function roundRectPath(ctx, x, y, w, h, r) {
 		const rr = Math.max(0, Math.min(r, Math.min(w, h) / 2));
 		ctx.beginPath();
 		ctx.moveTo(x + rr, y);
@@ -1055,6 +2022,10 @@
 				this.v = 0;
 			}
 		}
+
+		isSettled(posEps, velEps) {
+			return Math.abs(this.x) <= posEps && Math.abs(this.v) <= velEps;
+		}
 	}
 
 	// ======================================================================
@@ -1173,6 +2144,26 @@
 			return { dx, dy, dist, useShort };
 		}
 
+		// The next step places every corner on its target without animating.
+		snap() {
+			for (const corner of this.corners) corner.pdx = -1e5;
+		}
+
+		// Moves the whole spring state rigidly (scroll compensation); relative motion is unchanged.
+		translate(dx, dy) {
+			for (const corner of this.corners) {
+				corner.cx += dx;
+				corner.cy += dy;
+				if (corner.pdx < -1e4) continue;
+				corner.pdx += dx;
+				corner.pdy += dy;
+			}
+			this.target.cx += dx;
+			this.target.cy += dy;
+			this.last.cx += dx;
+			this.last.cy += dy;
+		}
+
 		step(dtSec, motionInfo) {
 			const dir = motionInfo.dist > 0.0001 ? normalize2(motionInfo.dx, motionInfo.dy) : { x: 0, y: 0 };
 			const align = this.corners.map((c) => c.rel.x * dir.x + c.rel.y * dir.y);
@@ -1253,9 +2244,210 @@
 	// SECTION 9: Polygon ribbon trail sample storage
 	// ======================================================================
 
-	// Trail sample shape: { t, cx, cy, pts }
-	const trail = [];
-	let lastPushed = null;
+	// One spring/overshoot/trail state per visible caret. Tracks are keyed by caret DOM element
+	// and re-matched by proximity when the caret count changes (see matchCaretTracks).
+	// Trail sample shape: { t, cx, cy, pts, life }; life scales the trail ttl for this sample.
+	class CaretTrack {
+		constructor(key) {
+			// Caret DOM element last matched to this track.
+			this.key = key;
+			this.matchedFrame = 0;
+			this.cursor = new CursorSquish();
+			this.bounce = new UnderDampedScalar(CFG.overshoot.omega, CFG.overshoot.zeta);
+			this.trail = [];
+			this.lastPushed = null;
+			// Stacked-hex size controller state carried across frames.
+			this.sizeState = { valid: false, len: 0, widthScale: 1 };
+			this.anchorCenter = null;
+			this.fontBox = null;
+			// Custom caret cell (CFG.caret): offset of its top-left corner from the caret center, and
+			// its size.
+			this.caretCell = { dx: -1, dy: -9, width: 8, height: 18 };
+			// Null while the caret is gone; the track then only fades out its remaining trail.
+			this.liveRect = null;
+			this.pendingMotion = null;
+			// caretClasses class of the pending hop.
+			this.motionClass = "move";
+			this.trailAllowed = true;
+			// From the profile of the last trail-emitting hop: sample life and trail opacity multiplier.
+			this.sampleLife = 1;
+			this.opacityScale = 1;
+			this.scaleExtra = 0;
+			// Corner springs still moving after the last step.
+			this.moving = false;
+		}
+
+		// True while springs or overshoot still animate (a fading trail alone does not count).
+		isAnimating() {
+			if (this.moving || this.pendingMotion) return true;
+			return CFG.overshoot.enabled && !this.bounce.isSettled(CFG.overshoot.settlePosEps, CFG.overshoot.settleVelEps);
+		}
+
+		reset() {
+			this.trail.length = 0;
+			this.lastPushed = null;
+			this.sizeState.valid = false;
+		}
+
+		// Shifts everything stored in client px by (dx, dy): trail samples, springs and the caret
+		// anchor. Used when the editor scrolls (motion.scrollCompensation).
+		translate(dx, dy) {
+			const { trail, lastPushed } = this;
+			for (const sample of trail) translateSample(sample, dx, dy);
+			// lastPushed may already be pruned from the trail.
+			if (lastPushed && trail[trail.length - 1] !== lastPushed) translateSample(lastPushed, dx, dy);
+			this.cursor.translate(dx, dy);
+			if (this.anchorCenter) {
+				this.anchorCenter.cx += dx;
+				this.anchorCenter.cy += dy;
+			}
+			if (this.liveRect) {
+				this.liveRect.left += dx;
+				this.liveRect.top += dy;
+			}
+		}
+	}
+
+	// Overlay of one surface root (an editor, a notebook or a terminal; see CURSOR_SOURCES): its own
+	// canvas and the caret tracks, particles and jump arcs drawn on it, all in client px. See the
+	// surface registry in the main loop for which surface is active.
+	class EditorSurface {
+		constructor(rootEl, source) {
+			this.rootEl = rootEl;
+			this.source = source;
+			// CFG.sources flag; roots keep their kind (a diff side stays that side).
+			this.kind = source.kindOf(rootEl);
+			const { canvas, ctx } = makeCanvas();
+			this.canvas = canvas;
+			this.ctx = ctx;
+			// Canvas host (source.host) once attached.
+			this.host = null;
+			this.canvasRect = canvas.getBoundingClientRect();
+			this.canvasLayoutDirty = true;
+			this.lastCanvasLayoutReadMs = -Infinity;
+			this.visible = false;
+			/** @type {CaretTrack[]} */
+			this.tracks = [];
+			this.particles = new ParticlePool();
+			// CFG.jumpArc arcs, oldest first: { startMs, x0, y0, x1, y1, qx, qy, lineTop, lineHeight }.
+			this.jumpArcs = [];
+			// Primary caret element; it scopes multi-cursor discovery.
+			this.cursorEl = null;
+			this.lastCursorSeenMs = -Infinity;
+			this.lastPrimaryCaretX = null;
+			this.caretFontSizePx = CFG.box.scaleRefFontSizePx || 14;
+			// Clock of explicit CFG.caret.blink styles, restarted by caret hops.
+			this.caretBlinkStartMs = nowMs();
+			// While inactive: the scrolling content element (layoutTargets) and its client offset, to
+			// carry the static box along with scrolling (motion.scrollCompensation).
+			this.contentEl = null;
+			this.contentOffset = null;
+			// Inactive surfaces redraw only while something fades or after a change.
+			this.needsDraw = false;
+		}
+
+		translate(dx, dy) {
+			for (const track of this.tracks) track.translate(dx, dy);
+			this.particles.translate(dx, dy);
+			for (const arc of this.jumpArcs) {
+				arc.x0 += dx;
+				arc.y0 += dy;
+				arc.x1 += dx;
+				arc.y1 += dy;
+				arc.qx += dx;
+				arc.qy += dy;
+				arc.lineTop += dy;
+			}
+		}
+
+		// Live trails, animating springs/overshoot, particles or arcs.
+		isBusy() {
+			if (this.particles.count > 0 || this.jumpArcs.length > 0) return true;
+			for (const track of this.tracks) {
+				if (track.trail.length > 0 || track.isAnimating()) return true;
+			}
+			return false;
+		}
+
+		dispose() {
+			for (const track of this.tracks) track.reset();
+			this.tracks.length = 0;
+			this.particles.clear();
+			this.jumpArcs.length = 0;
+			if (this.canvas.parentElement) this.canvas.parentElement.removeChild(this.canvas);
+			this.host = null;
+			this.cursorEl = null;
+			this.contentEl = null;
+		}
+	}
+
+	const translateSample = (sample, dx, dy) => {
+		sample.cx += dx;
+		sample.cy += dy;
+		for (const p of sample.pts) {
+			p.x += dx;
+			p.y += dy;
+		}
+	};
+
+	// Particle pool (CFG.particles). Live particles are items[0, count); dead ones are swapped
+	// past the end and reused, so emission and stepping stop allocating once the pool has grown.
+	// Particle shape: { x, y, vx, vy, ageMs, ttlMs, size } in client px.
+	class ParticlePool {
+		constructor() {
+			this.items = [];
+			this.count = 0;
+		}
+
+		// Null when `limit` live particles already exist.
+		spawn(limit) {
+			if (this.count >= limit) return null;
+			let p = this.items[this.count];
+			if (!p) {
+				p = { x: 0, y: 0, vx: 0, vy: 0, ageMs: 0, ttlMs: 1, size: 1 };
+				this.items.push(p);
+			}
+			this.count++;
+			return p;
+		}
+
+		step(dtSec, gravity, dragPerSec) {
+			const damp = Math.exp(-Math.max(0, dragPerSec) * dtSec);
+			const { items } = this;
+			for (let i = this.count - 1; i >= 0; i--) {
+				const p = items[i];
+				p.ageMs += dtSec * 1000;
+				if (p.ageMs >= p.ttlMs) {
+					const last = this.count - 1;
+					items[i] = items[last];
+					items[last] = p;
+					this.count = last;
+					continue;
+				}
+				p.vx *= damp;
+				p.vy = p.vy * damp + gravity * dtSec;
+				p.x += p.vx * dtSec;
+				p.y += p.vy * dtSec;
+			}
+		}
+
+		translate(dx, dy) {
+			const { items } = this;
+			for (let i = 0; i < this.count; i++) {
+				items[i].x += dx;
+				items[i].y += dy;
+			}
+		}
+
+		// Sheds live particles beyond `limit` (frame pressure or a smaller pool).
+		trim(limit) {
+			this.count = clamp(Math.floor(limit), 0, this.count);
+		}
+
+		clear() {
+			this.count = 0;
+		}
+	}
 
 	const lerp = (a, b, t) => a + (b - a) * t;
 	const lerpPoint = (p0, p1, t) => ({ x: lerp(p0.x, p1.x, t), y: lerp(p0.y, p1.y, t) });
@@ -1623,8 +2815,9 @@
 	};
 
 	// Interpolation budget scales with perfQuality so heavy load can reduce insertion cost.
-	function pushTrailPolygon(poly, targetPoint = null, stampMs = Date.now(), perfQuality = 1) {
+	function pushTrailPolygon(track, poly, targetPoint = null, stampMs = Date.now(), perfQuality = 1) {
 		if (!poly || poly.length < 3) return;
+		const { trail, lastPushed } = track;
 		let pts = clonePolygon(poly);
 		if (CFG.trail.twistGuardEnabled) {
 			pts = canonicalizePolygon(pts, lastPushed?.pts ?? null);
@@ -1636,9 +2829,9 @@
 		let center = polygonCenter(pts);
 
 		if (!lastPushed) {
-			const first = { t: stampMs, cx: center.x, cy: center.y, pts };
+			const first = { t: stampMs, cx: center.x, cy: center.y, pts, life: track.sampleLife };
 			trail.push(first);
-			lastPushed = first;
+			track.lastPushed = first;
 			if (trail.length > CFG.trail.maxRects) {
 				trail.splice(0, trail.length - CFG.trail.maxRects);
 			}
@@ -1710,23 +2903,24 @@
 				t: stampMs,
 				cx: entryCenter.x,
 				cy: entryCenter.y,
-				pts: entryPts
+				pts: entryPts,
+				life: track.sampleLife
 			};
 			trail.push(entry);
 			prevEntryPts = entryPts;
 			pushedAny = true;
 		}
-		if (pushedAny) lastPushed = trail[trail.length - 1];
+		if (pushedAny) track.lastPushed = trail[trail.length - 1];
 
 		if (trail.length > CFG.trail.maxRects) {
 			trail.splice(0, trail.length - CFG.trail.maxRects);
 		}
 	}
 
-	function pruneTrail(now = Date.now()) {
-		const ttl = CFG.trail.ttlMs;
+	function pruneTrail(track, now = Date.now(), ttl = CFG.trail.ttlMs) {
+		const { trail } = track;
 		for (let i = trail.length - 1; i >= 0; i--) {
-			if (now - trail[i].t > ttl) trail.splice(i, 1);
+			if (now - trail[i].t > ttl * trail[i].life) trail.splice(i, 1);
 		}
 	}
 
@@ -1755,15 +2949,49 @@
 			newestResampled: [],
 			edgeLensA: [],
 			edgeLensB: [],
-			stackSizeState: {
-				valid: false,
-				len: 0,
-				widthScale: 1
+			sections: [],
+			headPts: null,
+			// Color ramp view for this frame (resolveColorRampFrame) or null, and per-section ramp t.
+			ramp: null,
+			rampT: []
+		};
+
+		// Ramp position of every section (see CFG.colorRamp); head is the last section.
+		const computeSectionRampT = (ramp, sections, out) => {
+			const n = sections.length;
+			out.length = n;
+			if (ramp.mode === "distance") {
+				const norm = Math.max(1e-3, CFG.colorRamp.distanceNormPx);
+				let along = 0;
+				out[n - 1] = 0;
+				for (let i = n - 2; i >= 0; i--) {
+					along += Math.hypot(sections[i + 1].cx - sections[i].cx, sections[i + 1].cy - sections[i].cy);
+					out[i] = along / norm;
+				}
+				return out;
 			}
+			if (ramp.mode === "speed") {
+				const norm = Math.max(1e-3, CFG.colorRamp.speedNormPxPerSec);
+				let last = 0;
+				for (let i = 1; i < n; i++) {
+					const a = sections[i - 1];
+					const b = sections[i];
+					const dtSec = (Math.abs(a.frac - b.frac) * ramp.ttl) / 1000;
+					// Head bridge/cap sections share a timestamp; they inherit the last measured speed.
+					if (dtSec > 1e-3) last = Math.hypot(b.cx - a.cx, b.cy - a.cy) / dtSec / norm;
+					out[i] = last;
+				}
+				if (n > 0) out[0] = n > 1 ? out[1] : 0;
+				return out;
+			}
+			for (let i = 0; i < n; i++) out[i] = sections[i].frac;
+			return out;
 		};
 		const clonePoint = (p) => ({ x: p.x, y: p.y });
+		// Returns the number of subdivisions consumed from the budget.
 		const buildTrailSections = (
 			sections,
+			trail,
 			now,
 			ttl,
 			scaleExtra,
@@ -1771,16 +2999,17 @@
 			effectiveDrawSubdivideStep,
 			effectiveMaxDrawSubdivisions,
 			effectiveRibbonSides,
-			remainingSubBudget
+			subBudget
 		) => {
 			sections.length = 0;
+			let remainingSubBudget = subBudget;
 			for (let i = trailStartIndex; i < trail.length && remainingSubBudget > 0; i++) {
 				const prev = trail[i - 1];
 				const curr = trail[i];
 				if (!prev || !curr || prev.pts.length < 3 || curr.pts.length < 3) continue;
 
-				const prevFrac = clamp((now - prev.t) / ttl, 0, 1);
-				const currFrac = clamp((now - curr.t) / ttl, 0, 1);
+				const prevFrac = clamp((now - prev.t) / (ttl * prev.life), 0, 1);
+				const currFrac = clamp((now - curr.t) / (ttl * curr.life), 0, 1);
 				const prevScale = Math.max(0.05, (1 + scaleExtra) * TRAIL_WIDTH_ENVELOPE_AT(prevFrac));
 				const currScale = Math.max(0.05, (1 + scaleExtra) * TRAIL_WIDTH_ENVELOPE_AT(currFrac));
 				const prevPtsRaw = scalePolygonInto(drawScratch.prevPts, prev.pts, prev.cx, prev.cy, prevScale);
@@ -1823,7 +3052,7 @@
 					sections.push({ pts: clonePolygon(bPts), cx: cB.x, cy: cB.y, frac: fracB });
 				}
 			}
-			return sections;
+			return subBudget - remainingSubBudget;
 		};
 		const computeSectionFrame = (section, dirHint, minCellWidthPx) => {
 			let d = pointNormalize(dirHint);
@@ -1848,31 +3077,27 @@
 			const r = pointAdd(c, pointScale(n, maxProj));
 			return { c, d, n, l, r, w: Math.max(minCellWidthPx, maxProj - minProj), frac: section.frac };
 		};
-		const drawStackedHexTrail = (
-			ctx,
-			ox,
-			oy,
+		// Builds a track's sections: subdivided trail samples (or the newest sample alone), then the
+		// caret-anchored head bridge + head cap. The head cap polygon is left in drawScratch.headPts.
+		// Returns the number of subdivisions consumed so unused share can flow to other tracks.
+		const prepareTrackSections = (
+			sections,
+			track,
 			now,
 			ttl,
 			scaleExtra,
-			trailOpacity,
-			clampedQuality,
 			effectiveMaxRects,
 			effectiveDrawSubdivideStep,
 			effectiveMaxDrawSubdivisions,
 			effectiveRibbonSides,
+			subBudget,
 			headRect
 		) => {
-			const cfg = CFG.trail.stackHex;
-			if (!cfg?.enabled) return false;
+			const { trail } = track;
 			const trailStartIndex = Math.max(1, trail.length - effectiveMaxRects + 1);
-			let remainingSubBudget = Math.max(
-				8,
-				Math.round(Math.max(1, CFG.performance.maxSubdivisionsPerFrame || 1) * clampedQuality)
-			);
-			const sections = [];
-			buildTrailSections(
+			const usedSub = buildTrailSections(
 				sections,
+				trail,
 				now,
 				ttl,
 				scaleExtra,
@@ -1880,12 +3105,12 @@
 				effectiveDrawSubdivideStep,
 				effectiveMaxDrawSubdivisions,
 				effectiveRibbonSides,
-				remainingSubBudget
+				subBudget
 			);
 			if (sections.length < 1 && trail.length) {
 				const newest = trail[trail.length - 1];
 				if (newest && newest.pts.length >= 3) {
-					const newestFrac = clamp((now - newest.t) / ttl, 0, 1);
+					const newestFrac = clamp((now - newest.t) / (ttl * newest.life), 0, 1);
 					const newestScale = Math.max(0.05, (1 + scaleExtra) * TRAIL_WIDTH_ENVELOPE_AT(newestFrac));
 					const newestPtsRaw = scalePolygonInto(
 						drawScratch.newestPts,
@@ -1940,24 +3165,19 @@
 				}
 			}
 
-			if (sections.length < 2) {
-				drawScratch.stackSizeState.valid = false;
-				if (headPts && isValidTrailPolygon(headPts)) {
-					const alphaHeadOnly = clamp(trailOpacity, CFG.trail.minAlpha, 1);
-					if (alphaHeadOnly > 0) {
-						ctx.globalAlpha = alphaHeadOnly;
-						ctx.beginPath();
-						ctx.moveTo(headPts[0].x - ox, headPts[0].y - oy);
-						for (let i = 1; i < headPts.length; i++) ctx.lineTo(headPts[i].x - ox, headPts[i].y - oy);
-						ctx.closePath();
-						ctx.fill();
-						return true;
-					}
-				}
-				return false;
-			}
-
-			const maxCells = Math.max(1, Math.round(Math.max(1, cfg.maxCellsPerFrame || 1) * clampedQuality));
+			drawScratch.headPts = headPts;
+			return usedSub;
+		};
+		const fillPolygon = (ctx, pts, ox, oy) => {
+			ctx.beginPath();
+			ctx.moveTo(pts[0].x - ox, pts[0].y - oy);
+			for (let i = 1; i < pts.length; i++) ctx.lineTo(pts[i].x - ox, pts[i].y - oy);
+			ctx.closePath();
+			ctx.fill();
+		};
+		// Evenly spaced section indices for cell-based styles (at most maxCells + 1), always keeping
+		// the first section and the last three (head bridge + head cap) so the trail stays attached.
+		const pickCellSections = (sections, maxCells) => {
 			const pickCount = Math.min(sections.length, maxCells + 1);
 			const picked = [0];
 			if (pickCount > 2) {
@@ -1975,9 +3195,32 @@
 				if (!picked.includes(i)) picked.push(i);
 			}
 			picked.sort((a, b) => a - b);
+			return picked;
+		};
+		// Legacy path: one directional concave-hex cell per picked section pair, then the head cap.
+		const drawHexCells = (ctx, track, sections, headPts, ox, oy, trailOpacity, clampedQuality, maxCells) => {
+			const cfg = CFG.trail.stackHex;
+			const ramp = drawScratch.ramp;
+			if (sections.length < 2) {
+				track.sizeState.valid = false;
+				if (headPts && isValidTrailPolygon(headPts)) {
+					const alphaHeadOnly = clamp(trailOpacity, CFG.trail.minAlpha, 1);
+					if (alphaHeadOnly > 0) {
+						ctx.globalAlpha = alphaHeadOnly;
+						if (ramp) ctx.fillStyle = ramp.css[colorRampIndex(ramp, 0)];
+						fillPolygon(ctx, headPts, ox, oy);
+						if (ramp) ctx.fillStyle = renderStyleCache.trailColorCss;
+					}
+				}
+				return;
+			}
+			const rampT = ramp ? computeSectionRampT(ramp, sections, drawScratch.rampT) : null;
+			let lastRampCss = null;
+
+			const picked = pickCellSections(sections, maxCells);
 			if (picked.length < 2) {
-				drawScratch.stackSizeState.valid = false;
-				return false;
+				track.sizeState.valid = false;
+				return;
 			}
 
 			const firstDir = pointNormalize({
@@ -1989,7 +3232,7 @@
 			let baseR = clonePoint(firstFrame.r);
 			let prevD = pointLen(firstDir) > 1e-6 ? firstDir : { x: 1, y: 0 };
 
-			const dyn = drawScratch.stackSizeState;
+			const dyn = track.sizeState;
 			let smoothLen = dyn.valid ? dyn.len : Math.max(1, cfg.baseLenPx || 1);
 			let smoothWidth = dyn.valid ? dyn.widthScale : 1;
 			let drewAny = false;
@@ -2107,6 +3350,14 @@
 				const alphaCell = clamp((1 - s1.frac) * trailOpacity, CFG.trail.minAlpha, 1);
 				if (valid && alphaCell > 0) {
 					ctx.globalAlpha = alphaCell;
+					if (ramp) {
+						const css = ramp.css[colorRampIndex(ramp, rampT[picked[ci + 1]])];
+						if (css !== lastRampCss) {
+							ctx.fillStyle = css;
+							ctx.strokeStyle = css;
+							lastRampCss = css;
+						}
+					}
 					ctx.beginPath();
 					ctx.moveTo(cellPts[0].x - ox, cellPts[0].y - oy);
 					for (let i = 1; i < cellPts.length; i++) ctx.lineTo(cellPts[i].x - ox, cellPts[i].y - oy);
@@ -2128,14 +3379,15 @@
 				const alphaHead = clamp(trailOpacity, CFG.trail.minAlpha, 1);
 				if (alphaHead > 0) {
 					ctx.globalAlpha = alphaHead;
-					ctx.beginPath();
-					ctx.moveTo(headPts[0].x - ox, headPts[0].y - oy);
-					for (let i = 1; i < headPts.length; i++) ctx.lineTo(headPts[i].x - ox, headPts[i].y - oy);
-					ctx.closePath();
-					ctx.fill();
+					if (ramp) ctx.fillStyle = ramp.css[colorRampIndex(ramp, rampT[sections.length - 1])];
+					fillPolygon(ctx, headPts, ox, oy);
 					drewAny = true;
 				}
 			}
+			if (ramp) {
+				ctx.fillStyle = renderStyleCache.trailColorCss;
+				ctx.strokeStyle = renderStyleCache.trailColorCss;
+			}
 
 			if (drewAny) {
 				dyn.valid = true;
@@ -2144,16 +3396,603 @@
 			} else {
 				dyn.valid = false;
 			}
-			return drewAny;
+		};
+		// Ribbon styles: the whole trail is one outline per track, running up the left edge of every
+		// section frame and back down the right edge.
+		// Per-age fade comes from a tail-to-head linear gradient; on curved trails this projects
+		// the legacy per-cell alpha onto the tail-head axis.
+		// A segment is invalid when it is non-finite, collapsed (rung narrower than half the minimum
+		// cell width) or twisted (left and right edges cross). Inner-edge folds at tight turns are
+		// kept: the nonzero fill covers them, as overlapping hex cells would.
+		// The strip (hex style with performance.fastPathEnabled) sends the whole track to the hex
+		// cells on an invalid segment when fastPathFallbackLegacy is set (same sections, no rebuild);
+		// otherwise, and for the other ribbon styles, the outline is split around invalid segments.
+		const RIBBON_GRADIENT_STOPS = 8;
+		const ribbonScratch = { lefts: [], rights: [], segValid: [] };
+		const isFinitePoint = (p) => Number.isFinite(p.x) && Number.isFinite(p.y);
+		const validateRibbonSegments = (lefts, rights, segValid, minRungPx) => {
+			segValid.length = 0;
+			let allValid = true;
+			for (let i = 0; i < lefts.length - 1; i++) {
+				const lA = lefts[i];
+				const rA = rights[i];
+				const lB = lefts[i + 1];
+				const rB = rights[i + 1];
+				let ok = isFinitePoint(lA) && isFinitePoint(rA) && isFinitePoint(lB) && isFinitePoint(rB);
+				if (ok) ok = pointDist(lA, rA) >= minRungPx && pointDist(lB, rB) >= minRungPx;
+				if (ok) ok = !segmentsIntersect(lA, lB, rA, rB);
+				segValid.push(ok);
+				if (!ok) allValid = false;
+			}
+			return allValid;
+		};
+		// With a color ramp, each gradient stop takes the ramp color of its section (rampT).
+		const makeRibbonGradient = (ctx, sections, ox, oy, trailOpacity, rgbCss, ramp, rampT) => {
+			const n = sections.length;
+			const tail = sections[0];
+			const head = sections[n - 1];
+			const gx = head.cx - tail.cx;
+			const gy = head.cy - tail.cy;
+			const len2 = gx * gx + gy * gy;
+			if (len2 < 1) {
+				const alpha = clamp((1 - head.frac) * trailOpacity, CFG.trail.minAlpha, 1);
+				const headRgb = ramp ? ramp.rgb[colorRampIndex(ramp, rampT[n - 1])] : rgbCss;
+				return `rgba(${headRgb}, ${alpha})`;
+			}
+			const grad = ctx.createLinearGradient(tail.cx - ox, tail.cy - oy, head.cx - ox, head.cy - oy);
+			const stops = Math.min(n, RIBBON_GRADIENT_STOPS);
+			for (let k = 0; k < stops; k++) {
+				const idx = Math.round((k * (n - 1)) / Math.max(1, stops - 1));
+				const sec = sections[idx];
+				const offset = clamp(((sec.cx - tail.cx) * gx + (sec.cy - tail.cy) * gy) / len2, 0, 1);
+				const alpha = clamp((1 - sec.frac) * trailOpacity, CFG.trail.minAlpha, 1);
+				const rgb = ramp ? ramp.rgb[colorRampIndex(ramp, rampT[idx])] : rgbCss;
+				grad.addColorStop(offset, `rgba(${rgb}, ${alpha})`);
+			}
+			return grad;
+		};
+		// Left/right edge point of every section frame, into ribbonScratch. Cell styles use the
+		// rung length as the local trail width.
+		const buildRibbonEdges = (sections, minCellWidthPx) => {
+			const n = sections.length;
+			const { lefts, rights } = ribbonScratch;
+			lefts.length = 0;
+			rights.length = 0;
+			// Same direction smoothing as the hex cells, so wide sections turn gradually.
+			const dirBlend = clamp(CFG.trail.stackHex.directionLerpAlpha ?? 1, 0.05, 1);
+			let prevD = null;
+			let prevN = null;
+			for (let i = 0; i < n; i++) {
+				const a = sections[Math.max(0, i - 1)];
+				const b = sections[Math.min(n - 1, i + 1)];
+				let d = pointNormalize({ x: b.cx - a.cx, y: b.cy - a.cy });
+				if (prevD) {
+					if (pointLen(d) < 1e-6) d = prevD;
+					d = pointNormalize(lerpPoint(prevD, d, dirBlend));
+					if (pointLen(d) < 1e-6) d = prevD;
+				}
+				prevD = d;
+				const frame = computeSectionFrame(sections[i], d, minCellWidthPx);
+				// Keep edge sides continuous: a direction reversal (jitter, head bridge) would
+				// otherwise swap left/right and register as a fold.
+				if (prevN && pointDot(frame.n, prevN) < 0) {
+					lefts.push(frame.r);
+					rights.push(frame.l);
+					prevN = pointScale(frame.n, -1);
+				} else {
+					lefts.push(frame.l);
+					rights.push(frame.r);
+					prevN = frame.n;
+				}
+			}
+			return ribbonScratch;
+		};
+		// Comet taper: pulls both edges toward the section center, from 0 at the tail to 1 at the head.
+		const taperRibbonEdges = (sections, lefts, rights, power) => {
+			const n = sections.length;
+			for (let i = 0; i < n; i++) {
+				const s = Math.pow(i / Math.max(1, n - 1), power);
+				const c = sections[i];
+				lefts[i] = { x: c.cx + (lefts[i].x - c.cx) * s, y: c.cy + (lefts[i].y - c.cy) * s };
+				rights[i] = { x: c.cx + (rights[i].x - c.cx) * s, y: c.cy + (rights[i].y - c.cy) * s };
+			}
+		};
+		// Continues the current path through pts[from..to] (either direction). Smooth edges are
+		// quadratic curves with the edge points as controls and their midpoints on the curve.
+		const traceRibbonEdge = (ctx, pts, from, to, ox, oy, smooth) => {
+			const step = to >= from ? 1 : -1;
+			if (!smooth || Math.abs(to - from) < 2) {
+				for (let j = from + step; j !== to + step; j += step) ctx.lineTo(pts[j].x - ox, pts[j].y - oy);
+				return;
+			}
+			for (let j = from + step; j !== to; j += step) {
+				const p = pts[j];
+				const q = pts[j + step];
+				ctx.quadraticCurveTo(p.x - ox, p.y - oy, (p.x + q.x) * 0.5 - ox, (p.y + q.y) * 0.5 - oy);
+			}
+			ctx.lineTo(pts[to].x - ox, pts[to].y - oy);
+		};
+		// One closed subpath per run of valid segments: left edge forward, right edge back.
+		const traceRibbonRuns = (ctx, lefts, rights, segValid, ox, oy, smooth) => {
+			ctx.beginPath();
+			let runStart = -1;
+			for (let i = 0; i <= segValid.length; i++) {
+				if (i < segValid.length && segValid[i]) {
+					if (runStart < 0) runStart = i;
+					continue;
+				}
+				if (runStart >= 0) {
+					// Run covers sections runStart..i.
+					ctx.moveTo(lefts[runStart].x - ox, lefts[runStart].y - oy);
+					traceRibbonEdge(ctx, lefts, runStart, i, ox, oy, smooth);
+					ctx.lineTo(rights[i].x - ox, rights[i].y - oy);
+					traceRibbonEdge(ctx, rights, i, runStart, ox, oy, smooth);
+					ctx.closePath();
+					runStart = -1;
+				}
+			}
+		};
+		const strokePolygon = (ctx, pts, ox, oy) => {
+			ctx.beginPath();
+			ctx.moveTo(pts[0].x - ox, pts[0].y - oy);
+			for (let i = 1; i < pts.length; i++) ctx.lineTo(pts[i].x - ox, pts[i].y - oy);
+			ctx.closePath();
+			ctx.stroke();
+		};
+		// Head cap shared by the non-hex styles; css null keeps the frame's trail color.
+		const drawHeadCap = (ctx, headPts, ox, oy, trailOpacity, css, outline) => {
+			if (!headPts || !isValidTrailPolygon(headPts)) return;
+			const alphaHead = clamp(trailOpacity, CFG.trail.minAlpha, 1);
+			if (alphaHead <= 0) return;
+			ctx.globalAlpha = alphaHead;
+			if (outline) {
+				ctx.strokeStyle = css ?? renderStyleCache.trailColorCss;
+				strokePolygon(ctx, headPts, ox, oy);
+			} else {
+				ctx.fillStyle = css ?? renderStyleCache.trailColorCss;
+				fillPolygon(ctx, headPts, ox, oy);
+			}
+		};
+		// variant: { smooth, comet, outline, legacyFallback } (see RIBBON_VARIANTS).
+		const drawRibbonVariant = (ctx, track, sections, headPts, ox, oy, trailOpacity, clampedQuality, maxCells, variant) => {
+			const n = sections.length;
+			const ramp = drawScratch.ramp;
+			// Size controller state belongs to the hex path; ribbon styles do not advance it.
+			track.sizeState.valid = false;
+			if (variant.outline) ctx.lineWidth = Math.max(0.1, CFG.trail.styles.outline.lineWidthPx);
+			let headCss = ramp ? ramp.css[colorRampIndex(ramp, 0)] : null;
+
+			if (n >= 2) {
+				const minCellWidthPx = Math.max(1e-3, CFG.trail.stackHex.minCellWidthPx || 0);
+				const { lefts, rights, segValid } = buildRibbonEdges(sections, minCellWidthPx);
+				const allValid = validateRibbonSegments(lefts, rights, segValid, minCellWidthPx * 0.5);
+				if (
+					!allValid &&
+					variant.legacyFallback &&
+					CFG.performance.fastPathFallbackLegacy &&
+					CFG.trail.stackHex.enabled
+				) {
+					drawHexCells(ctx, track, sections, headPts, ox, oy, trailOpacity, clampedQuality, maxCells);
+					return;
+				}
+				// Tapering after validation: the comet tail is meant to collapse.
+				if (variant.comet) {
+					taperRibbonEdges(sections, lefts, rights, Math.max(1e-3, CFG.trail.styles.comet.taperPower));
+				}
+				traceRibbonRuns(ctx, lefts, rights, segValid, ox, oy, variant.smooth);
+
+				// draw() filled the style cache for this frame (including the select-mode tint).
+				const styles = renderStyleCache;
+				const rampT = ramp ? computeSectionRampT(ramp, sections, drawScratch.rampT) : null;
+				const paint = makeRibbonGradient(ctx, sections, ox, oy, trailOpacity, styles.trailRgbCss, ramp, rampT);
+				ctx.globalAlpha = 1;
+				if (variant.outline) {
+					ctx.strokeStyle = paint;
+					ctx.stroke();
+				} else {
+					ctx.fillStyle = paint;
+					ctx.fill();
+				}
+				headCss = ramp ? ramp.css[colorRampIndex(ramp, rampT[n - 1])] : null;
+			}
+
+			drawHeadCap(ctx, headPts, ox, oy, trailOpacity, headCss, variant.outline);
+			ctx.fillStyle = renderStyleCache.trailColorCss;
+			ctx.strokeStyle = renderStyleCache.trailColorCss;
+		};
+		const RIBBON_VARIANTS = {
+			// Fast path of the hex style: straight edges.
+			strip: { smooth: false, comet: false, outline: false, legacyFallback: true },
+			ribbon: { smooth: true, comet: false, outline: false, legacyFallback: false },
+			comet: { smooth: true, comet: true, outline: false, legacyFallback: false },
+			outline: { smooth: true, comet: false, outline: true, legacyFallback: false }
+		};
+		const ribbonStyle = (variant) => (ctx, track, sections, headPts, ox, oy, trailOpacity, clampedQuality, maxCells) =>
+			drawRibbonVariant(ctx, track, sections, headPts, ox, oy, trailOpacity, clampedQuality, maxCells, variant);
+
+		// Cell styles: one shape per picked section (same picking and budget as the hex cells),
+		// alpha-faded by age, sized by the local trail width.
+		const drawDotCells = (ctx, track, sections, headPts, ox, oy, trailOpacity, clampedQuality, maxCells) => {
+			const cfg = CFG.trail.styles.dots;
+			const n = sections.length;
+			const ramp = drawScratch.ramp;
+			track.sizeState.valid = false;
+			let headCss = ramp ? ramp.css[colorRampIndex(ramp, 0)] : null;
+
+			if (n >= 2) {
+				const minCellWidthPx = Math.max(1e-3, CFG.trail.stackHex.minCellWidthPx || 0);
+				const { lefts, rights } = buildRibbonEdges(sections, minCellWidthPx);
+				const rampT = ramp ? computeSectionRampT(ramp, sections, drawScratch.rampT) : null;
+				const minRadius = Math.max(0, cfg.minRadiusPx);
+				let lastRampCss = null;
+				for (const idx of pickCellSections(sections, maxCells)) {
+					const s = sections[idx];
+					const alpha = clamp((1 - s.frac) * trailOpacity, CFG.trail.minAlpha, 1);
+					const radius = Math.max(minRadius, pointDist(lefts[idx], rights[idx]) * 0.5 * cfg.sizeScale);
+					if (alpha <= 0 || !(radius > 0) || !Number.isFinite(radius) || !Number.isFinite(s.cx + s.cy)) continue;
+					ctx.globalAlpha = alpha;
+					if (ramp) {
+						const css = ramp.css[colorRampIndex(ramp, rampT[idx])];
+						if (css !== lastRampCss) {
+							ctx.fillStyle = css;
+							lastRampCss = css;
+						}
+					}
+					ctx.beginPath();
+					ctx.arc(s.cx - ox, s.cy - oy, radius, 0, Math.PI * 2);
+					ctx.fill();
+				}
+				headCss = ramp ? ramp.css[colorRampIndex(ramp, rampT[n - 1])] : null;
+			}
+
+			drawHeadCap(ctx, headPts, ox, oy, trailOpacity, headCss, false);
+			ctx.fillStyle = renderStyleCache.trailColorCss;
+		};
+		// Chevrons point along the local motion: a V of depth lengthScale * width whose arms are
+		// thicknessScale * width thick.
+		const drawChevronCells = (ctx, track, sections, headPts, ox, oy, trailOpacity, clampedQuality, maxCells) => {
+			const cfg = CFG.trail.styles.chevrons;
+			const n = sections.length;
+			const ramp = drawScratch.ramp;
+			track.sizeState.valid = false;
+			let headCss = ramp ? ramp.css[colorRampIndex(ramp, 0)] : null;
+
+			if (n >= 2) {
+				const minCellWidthPx = Math.max(1e-3, CFG.trail.stackHex.minCellWidthPx || 0);
+				const { lefts, rights } = buildRibbonEdges(sections, minCellWidthPx);
+				const rampT = ramp ? computeSectionRampT(ramp, sections, drawScratch.rampT) : null;
+				const picked = pickCellSections(sections, maxCells);
+				let prevD = null;
+				let lastRampCss = null;
+				for (let k = 1; k < picked.length; k++) {
+					const idx = picked[k];
+					const s0 = sections[picked[k - 1]];
+					const s1 = sections[idx];
+					let d = pointNormalize({ x: s1.cx - s0.cx, y: s1.cy - s0.cy });
+					if (pointLen(d) < 1e-6) d = prevD;
+					if (!d) continue;
+					prevD = d;
+
+					const w = pointDist(lefts[idx], rights[idx]);
+					const halfLen = w * Math.max(0, cfg.lengthScale) * 0.5;
+					const back = pointScale(d, -Math.max(minCellWidthPx, w * Math.max(0, cfg.thicknessScale)));
+					const c = { x: s1.cx, y: s1.cy };
+					const side = pointScale(pointPerp(d), w * 0.5);
+					const tip = pointAdd(c, pointScale(d, halfLen));
+					const armL = pointSub(pointSub(c, side), pointScale(d, halfLen));
+					const armR = pointSub(pointAdd(c, side), pointScale(d, halfLen));
+					const cellPts = [armL, tip, armR, pointAdd(armR, back), pointAdd(tip, back), pointAdd(armL, back)];
+					const alpha = clamp((1 - s1.frac) * trailOpacity, CFG.trail.minAlpha, 1);
+					if (alpha <= 0 || !cellPts.every(isFinitePoint)) continue;
+
+					ctx.globalAlpha = alpha;
+					if (ramp) {
+						const css = ramp.css[colorRampIndex(ramp, rampT[idx])];
+						if (css !== lastRampCss) {
+							ctx.fillStyle = css;
+							lastRampCss = css;
+						}
+					}
+					fillPolygon(ctx, cellPts, ox, oy);
+				}
+				headCss = ramp ? ramp.css[colorRampIndex(ramp, rampT[n - 1])] : null;
+			}
+
+			drawHeadCap(ctx, headPts, ox, oy, trailOpacity, headCss, false);
+			ctx.fillStyle = renderStyleCache.trailColorCss;
+		};
+
+		// Trail style registry (CFG.trail.style). A style renders one track from the sections built
+		// by prepareTrackSections:
+		// (ctx, track, sections, headPts, ox, oy, trailOpacity, clampedQuality, maxCells) => void
+		const TRAIL_STYLES = {
+			hex: drawHexCells,
+			ribbon: ribbonStyle(RIBBON_VARIANTS.ribbon),
+			dots: drawDotCells,
+			chevrons: drawChevronCells,
+			comet: ribbonStyle(RIBBON_VARIANTS.comet),
+			outline: ribbonStyle(RIBBON_VARIANTS.outline)
+		};
+		const drawRibbonStrip = ribbonStyle(RIBBON_VARIANTS.strip);
+		// null: nothing to draw (hex style with stackHex disabled).
+		const resolveTrailStyle = () => {
+			const name = CFG.trail.style;
+			if (name !== "hex" && Object.hasOwn(TRAIL_STYLES, name)) return TRAIL_STYLES[name];
+			if (CFG.performance.fastPathEnabled) return drawRibbonStrip;
+			return CFG.trail.stackHex?.enabled ? TRAIL_STYLES.hex : null;
+		};
+		// Draws one caret track with the given style; subBudget/maxCells are this track's share of
+		// the frame budget. Returns the number of subdivisions consumed.
+		const drawTrack = (
+			ctx,
+			renderStyle,
+			track,
+			ox,
+			oy,
+			now,
+			ttl,
+			scaleExtra,
+			trailOpacity,
+			clampedQuality,
+			effectiveMaxRects,
+			effectiveDrawSubdivideStep,
+			effectiveMaxDrawSubdivisions,
+			effectiveRibbonSides,
+			subBudget,
+			maxCells,
+			headRect
+		) => {
+			const sections = drawScratch.sections;
+			const usedSub = prepareTrackSections(
+				sections,
+				track,
+				now,
+				ttl,
+				scaleExtra,
+				effectiveMaxRects,
+				effectiveDrawSubdivideStep,
+				effectiveMaxDrawSubdivisions,
+				effectiveRibbonSides,
+				subBudget,
+				headRect
+			);
+			renderStyle(ctx, track, sections, drawScratch.headPts, ox, oy, trailOpacity, clampedQuality, maxCells);
+			return usedSub;
+		};
+
+		// Squares fading linearly over their life; one fillStyle for the whole pool.
+		const drawParticles = (ctx, particles, ox, oy, trailOpacity, styles) => {
+			const baseAlpha = clamp(CFG.particles.opacity ?? trailOpacity, 0, 1);
+			if (baseAlpha <= 0) return;
+			ctx.fillStyle = styles.particleColorCss;
+			const { items } = particles;
+			for (let i = 0; i < particles.count; i++) {
+				const p = items[i];
+				const alpha = baseAlpha * (1 - p.ageMs / p.ttlMs);
+				if (alpha <= 0) continue;
+				const half = p.size * 0.5;
+				ctx.globalAlpha = alpha;
+				ctx.fillRect(p.x - ox - half, p.y - oy - half, p.size, p.size);
+			}
+			ctx.fillStyle = styles.trailColorCss;
+		};
+
+		// Jump arcs (CFG.jumpArc). An arc is a quadratic curve from (x0, y0) to (x1, y1) through the
+		// control point (qx, qy); age runs on the wall clock passed to draw().
+		const JUMP_ARC_SEGMENTS = 24;
+		const quadAt = (a, q, b, t) => {
+			const u = 1 - t;
+			return u * u * a + 2 * u * t * q + t * t * b;
+		};
+		const jumpArcSweep = (arc, now) => clamp((now - arc.startMs) / Math.max(1, CFG.jumpArc.sweepMs), 0, 1);
+
+		// Full canvas-width band at the destination line, from the moment the sweep arrives.
+		const drawJumpFlashes = (ctx, canvas, arcs, oy, now, styles) => {
+			const c = CFG.jumpArc;
+			const flashMs = Math.max(0, c.flashMs);
+			const baseAlpha = clamp(c.flashOpacity, 0, 1);
+			if (flashMs <= 0 || baseAlpha <= 0) return;
+			const width = canvas.width / (window.devicePixelRatio || 1);
+			ctx.fillStyle = styles.jumpFlashColorCss;
+			for (const arc of arcs) {
+				const t = (now - arc.startMs - Math.max(1, c.sweepMs)) / flashMs;
+				if (t < 0 || t >= 1) continue;
+				ctx.globalAlpha = baseAlpha * (1 - t);
+				ctx.fillRect(0, arc.lineTop - oy, width, arc.lineHeight);
+			}
+			ctx.globalAlpha = 1;
+			ctx.fillStyle = styles.trailColorCss;
+		};
+
+		// The beam head eases out along the arc with beamLength of the arc behind it, plus a round
+		// head while sweeping; after arrival the beam fades over fadeMs.
+		const drawJumpArcs = (ctx, arcs, ox, oy, now, styles) => {
+			const c = CFG.jumpArc;
+			const baseAlpha = clamp(c.opacity, 0, 1);
+			if (baseAlpha <= 0) return;
+			const lineWidth = Math.max(0.1, c.lineWidthPx);
+			const beamLength = clamp(c.beamLength, 1e-3, 1);
+			ctx.strokeStyle = styles.jumpArcColorCss;
+			ctx.fillStyle = styles.jumpArcColorCss;
+			ctx.lineWidth = lineWidth;
+			ctx.lineCap = "round";
+			ctx.lineJoin = "round";
+			for (const arc of arcs) {
+				const sweep = jumpArcSweep(arc, now);
+				const fadeAge = now - arc.startMs - Math.max(1, c.sweepMs);
+				const alpha = fadeAge > 0 ? baseAlpha * (1 - fadeAge / Math.max(1, c.fadeMs)) : baseAlpha;
+				if (alpha <= 0) continue;
+				const head = 1 - Math.pow(1 - sweep, 3);
+				const tail = Math.max(0, head - beamLength);
+				const steps = Math.max(2, Math.ceil(JUMP_ARC_SEGMENTS * (head - tail)));
+				ctx.globalAlpha = alpha;
+				ctx.beginPath();
+				for (let i = 0; i <= steps; i++) {
+					const t = lerp(tail, head, i / steps);
+					const x = quadAt(arc.x0, arc.qx, arc.x1, t) - ox;
+					const y = quadAt(arc.y0, arc.qy, arc.y1, t) - oy;
+					if (i === 0) ctx.moveTo(x, y);
+					else ctx.lineTo(x, y);
+				}
+				ctx.stroke();
+				if (sweep < 1) {
+					ctx.beginPath();
+					ctx.arc(quadAt(arc.x0, arc.qx, arc.x1, head) - ox, quadAt(arc.y0, arc.qy, arc.y1, head) - oy, lineWidth * 1.5, 0, Math.PI * 2);
+					ctx.fill();
+				}
+			}
+			ctx.globalAlpha = 1;
+			ctx.lineCap = "butt";
+			ctx.lineJoin = "miter";
+			ctx.strokeStyle = styles.trailColorCss;
+			ctx.fillStyle = styles.trailColorCss;
+		};
+
+		// Off-screen caret indicator (CFG.offscreen): a band fading in from the edge toward the caret
+		// and a glowing arrow near x (canvas coordinates) pointing out of the canvas. Returns the
+		// arrow's bounding box in canvas coordinates.
+		const drawOffscreenIndicator = (ctx, canvas, direction, x, styles) => {
+			const c = CFG.offscreen;
+			const dpr = window.devicePixelRatio || 1;
+			const W = canvas.width / dpr;
+			const H = canvas.height / dpr;
+			const up = direction === "above";
+			const rgb = styles.trailRgbCss;
+
+			const band = Math.min(Math.max(0, c.bandPx), H / 2);
+			const bandAlpha = clamp(c.bandOpacity, 0, 1);
+			if (band > 0 && bandAlpha > 0) {
+				const grad = ctx.createLinearGradient(0, up ? 0 : H, 0, up ? band : H - band);
+				grad.addColorStop(0, `rgba(${rgb}, ${bandAlpha})`);
+				grad.addColorStop(1, `rgba(${rgb}, 0)`);
+				ctx.fillStyle = grad;
+				ctx.fillRect(0, up ? 0 : H - band, W, band);
+			}
+
+			const size = Math.max(0.5, c.sizePx);
+			const margin = Math.max(0, c.marginPx);
+			const ax = clamp(x, size + margin, Math.max(size + margin, W - size - margin));
+			const tipY = up ? margin : H - margin;
+			const baseY = up ? tipY + size : tipY - size;
+			ctx.globalAlpha = clamp(c.opacity, 0, 1);
+			ctx.fillStyle = `rgb(${rgb})`;
+			if (c.glowBlurPx > 0) {
+				ctx.shadowColor = `rgb(${rgb})`;
+				ctx.shadowBlur = c.glowBlurPx;
+			}
+			ctx.beginPath();
+			ctx.moveTo(ax, tipY);
+			ctx.lineTo(ax + size, baseY);
+			ctx.lineTo(ax - size, baseY);
+			ctx.closePath();
+			ctx.fill();
+
+			ctx.globalAlpha = 1;
+			ctx.shadowBlur = 0;
+			ctx.shadowColor = "transparent";
+			ctx.fillStyle = styles.trailColorCss;
+			return { left: ax - size, top: Math.min(tipY, baseY), width: 2 * size, height: size };
+		};
+
+		// Monaco's caret blinking (editor.cursorBlinking): 500 ms half-periods. The smooth, phase and
+		// expand CSS animations alternate 20 times, then the caret stays solid; blink toggles forever.
+		const CARET_BLINK_HALF_MS = 500;
+		const CARET_BLINK_ANIMATED_MS = 20 * CARET_BLINK_HALF_MS;
+		const smoothstep = (e0, e1, x) => {
+			const t = clamp((x - e0) / (e1 - e0), 0, 1);
+			return t * t * (3 - 2 * t);
+		};
+
+		// Writes { alpha, scaleY } of the blink style tMs into its cycle (solid before 0) into out.
+		// The curves follow Monaco's keyframes: fully shown for the first 20% of each half-period.
+		const caretBlinkFrame = (style, tMs, out) => {
+			out.alpha = 1;
+			out.scaleY = 1;
+			if (!(tMs >= 0)) return out;
+			const cycle = Math.floor(tMs / CARET_BLINK_HALF_MS);
+			if (style === "blink") {
+				out.alpha = cycle % 2 === 0 ? 1 : 0;
+				return out;
+			}
+			if (tMs >= CARET_BLINK_ANIMATED_MS) return out;
+			const frac = (tMs - cycle * CARET_BLINK_HALF_MS) / CARET_BLINK_HALF_MS;
+			const u = cycle % 2 === 0 ? frac : 1 - frac;
+			if (style === "smooth") out.alpha = 1 - smoothstep(0.2, 0.6, u);
+			else if (style === "phase") out.alpha = 1 - smoothstep(0.2, 0.9, u);
+			else if (style === "expand") out.scaleY = 1 - smoothstep(0.2, 0.8, u);
+			return out;
+		};
+
+		// Custom caret (CFG.caret mode "custom") of every live track, over the caret boxes. caret:
+		// { shape, thin, alpha, scaleY } of the frame. Smooth carets follow the center of the corner
+		// springs, others the live caret; the track's caretCell places the cell where Monaco's own
+		// caret element is. "expand" scales around the cell's middle.
+		const drawCustomCarets = (ctx, tracks, ox, oy, caret, styles) => {
+			const c = CFG.caret;
+			const baseAlpha = clamp(c.opacity, 0, 1) * caret.alpha;
+			if (baseAlpha <= 0 || caret.scaleY <= 0) return;
+			const lineWidth = caret.thin ? 1 : Math.max(0.5, c.lineWidthPx);
+			ctx.globalAlpha = caret.shape === "block" ? baseAlpha * clamp(c.blockOpacity, 0, 1) : baseAlpha;
+			ctx.fillStyle = styles.caretColorCss;
+			ctx.strokeStyle = styles.caretColorCss;
+			ctx.lineWidth = lineWidth;
+			for (const track of tracks) {
+				const rect = track.liveRect;
+				if (!rect) continue;
+				let cx = rect.left + rect.width / 2;
+				let cy = rect.top + rect.height / 2;
+				if (c.smooth) {
+					const { corners } = track.cursor;
+					cx = (corners[0].cx + corners[1].cx + corners[2].cx + corners[3].cx) / 4;
+					cy = (corners[0].cy + corners[1].cy + corners[2].cy + corners[3].cy) / 4;
+				}
+				const cell = track.caretCell;
+				const w = cell.width;
+				const h = cell.height * caret.scaleY;
+				const x = cx + cell.dx - ox;
+				const y = cy + cell.dy + (cell.height - h) / 2 - oy;
+				if (caret.shape === "block") ctx.fillRect(x, y, w, h);
+				else if (caret.shape === "underline") ctx.fillRect(x, y + h - lineWidth, w, lineWidth);
+				else if (caret.shape === "hollow") ctx.strokeRect(x + lineWidth / 2, y + lineWidth / 2, w - lineWidth, h - lineWidth);
+				else ctx.fillRect(x, y, lineWidth, h);
+			}
+			ctx.globalAlpha = 1;
+			ctx.fillStyle = styles.trailColorCss;
+			ctx.strokeStyle = styles.trailColorCss;
 		};
 
+		const drawOrderScratch = [];
+		const byTrailLength = (a, b) => a.trail.length - b.trail.length;
+
 		// Staged adaptation order: subdivisions first, then shadow blur, then history length.
 		// Draw-time canonicalization is intentionally removed; polygons are canonicalized at push-time.
-		function draw(ctx, canvas, boxRect, boxFontSizePx, scaleExtra, isIdle, originX, originY, wallNowMs, perfQuality = 1) {
+		// Frame budgets are shared across caret tracks by water-filling: shortest trails draw first and
+		// hand their unused subdivision share on to the longer ones.
+		// fx: { ttlScale, scaleExtra, selectTint } from host inertia telemetry, shared by all tracks.
+		// particles: ParticlePool drawn between the trails and the caret boxes, without shadow.
+		// jumpArcs: active jump arcs; line flashes go under the trails, arcs over them with shadow.
+		// boxOpacityScale: caret box alpha multiplier (inactive editor groups); 0 skips the boxes.
+		// customCaret: custom caret of the frame (drawCustomCarets), or null for Monaco's own.
+		function draw(
+			ctx,
+			canvas,
+			tracks,
+			boxFontSizePx,
+			isIdle,
+			originX,
+			originY,
+			wallNowMs,
+			perfQuality = 1,
+			fx = null,
+			particles = null,
+			jumpArcs = null,
+			boxOpacityScale = 1,
+			customCaret = null
+		) {
 			clearCanvas(ctx, canvas);
 			const ox = originX ?? 0;
 			const oy = originY ?? 0;
-			const styles = getRenderStyles();
+			const styles = getRenderStyles(fx?.selectTint ?? false);
 			const trailOpacity = styles.trailOpacity;
 			const trailColorCss = styles.trailColorCss;
 			const boxOpacity = styles.boxOpacity;
@@ -2172,6 +4011,9 @@
 				allowPostSubdivideCuts && clampedQuality < CFG.performance.historyStartThreshold
 					? Math.max(8, Math.round(CFG.trail.maxRects * clampedQuality))
 					: CFG.trail.maxRects;
+			const now = wallNowMs ?? Date.now();
+			const hasJumpArcs = Boolean(jumpArcs && jumpArcs.length > 0);
+			if (hasJumpArcs) drawJumpFlashes(ctx, canvas, jumpArcs, oy, now, styles);
 
 			ctx.fillStyle = trailColorCss;
 			ctx.strokeStyle = trailColorCss;
@@ -2190,44 +4032,73 @@
 				ctx.shadowBlur = 0;
 			}
 
-			const now = wallNowMs ?? Date.now();
-			const ttl = CFG.trail.ttlMs;
-			drawStackedHexTrail(
-				ctx,
-				ox,
-				oy,
-				now,
-				ttl,
-				scaleExtra,
-				trailOpacity,
-				clampedQuality,
-				effectiveMaxRects,
-				effectiveDrawSubdivideStep,
-				effectiveMaxDrawSubdivisions,
-				effectiveRibbonSides,
-				boxRect
+			const ttl = CFG.trail.ttlMs * (fx?.ttlScale ?? 1);
+			const fxScaleExtra = fx?.scaleExtra ?? 0;
+			drawScratch.ramp = resolveColorRampFrame(now, ttl, trailOpacity, fx?.selectTint ?? false);
+			const order = drawOrderScratch;
+			order.length = 0;
+			let trailCount = 0;
+			for (const track of tracks) {
+				order.push(track);
+				if (track.trail.length >= 2) trailCount++;
+			}
+			order.sort(byTrailLength);
+			let remainingSubBudget = Math.max(
+				8,
+				Math.round(Math.max(1, CFG.performance.maxSubdivisionsPerFrame || 1) * clampedQuality)
 			);
+			const totalCells = Math.max(1, Math.round(Math.max(1, CFG.trail.stackHex.maxCellsPerFrame || 1) * clampedQuality));
+			const maxCellsPerTrack = Math.max(1, Math.round(totalCells / Math.max(1, trailCount)));
+			const renderStyle = resolveTrailStyle();
+			for (let i = 0; renderStyle && i < order.length; i++) {
+				const track = order[i];
+				const subShare = Math.max(1, Math.floor(remainingSubBudget / (order.length - i)));
+				remainingSubBudget -= drawTrack(
+					ctx,
+					renderStyle,
+					track,
+					ox,
+					oy,
+					now,
+					ttl,
+					track.scaleExtra + fxScaleExtra,
+					Math.min(1, trailOpacity * track.opacityScale),
+					clampedQuality,
+					effectiveMaxRects,
+					effectiveDrawSubdivideStep,
+					effectiveMaxDrawSubdivisions,
+					effectiveRibbonSides,
+					subShare,
+					maxCellsPerTrack,
+					track.liveRect
+				);
+			}
+			order.length = 0;
+			if (hasJumpArcs) drawJumpArcs(ctx, jumpArcs, ox, oy, now, styles);
 
-			if (boxRect) {
-				ctx.globalAlpha = boxOpacity;
-				ctx.shadowColor = "transparent";
-				ctx.shadowBlur = 0;
-				ctx.strokeStyle = boxColorCss;
-
-				const refFontSize = Math.max(1e-4, CFG.box.scaleRefFontSizePx || 14);
-				const activeFontSize = boxFontSizePx > 0 ? boxFontSizePx : refFontSize;
-				const boxScale = activeFontSize / refFontSize;
-				const pad = Math.max(0, CFG.box.padPx * boxScale);
-				const radius = Math.max(0, CFG.box.radiusPx * boxScale);
+			ctx.shadowColor = "transparent";
+			ctx.shadowBlur = 0;
+			if (particles && particles.count > 0) drawParticles(ctx, particles, ox, oy, trailOpacity, styles);
+
+			ctx.globalAlpha = boxOpacity * boxOpacityScale;
+			ctx.strokeStyle = boxColorCss;
+			ctx.lineWidth = CFG.box.lineWidthPx ?? CFG.idle.hollowLineWidthPx;
+			const refFontSize = Math.max(1e-4, CFG.box.scaleRefFontSizePx || 14);
+			const activeFontSize = boxFontSizePx > 0 ? boxFontSizePx : refFontSize;
+			const boxScale = activeFontSize / refFontSize;
+			const pad = Math.max(0, CFG.box.padPx * boxScale);
+			const radius = Math.max(0, CFG.box.radiusPx * boxScale);
+			for (let i = 0; boxOpacityScale > 0 && i < tracks.length; i++) {
+				const boxRect = tracks[i].liveRect;
+				if (!boxRect) continue;
 				const x = boxRect.left - pad - ox;
 				const y = boxRect.top - pad - oy;
 				const w = boxRect.width + 2 * pad;
 				const h = boxRect.height + 2 * pad;
-
-				ctx.lineWidth = CFG.box.lineWidthPx ?? CFG.idle.hollowLineWidthPx;
 				roundRectPath(ctx, x, y, w, h, radius);
 				ctx.stroke();
 			}
+			if (customCaret) drawCustomCarets(ctx, tracks, ox, oy, customCaret, styles);
 
 			ctx.globalAlpha = 1;
 			ctx.shadowBlur = 0;
@@ -2235,142 +4106,1199 @@
 		}
 
 	// ======================================================================
-	// SECTION 11: Main loop
+	// SECTION 11: Host settings bridge
+	// ======================================================================
+
+	// The extension host cannot touch this DOM directly. It publishes a JSON snapshot through the
+	// accessibility label of a status bar item (see rendererBridge.js):
+	//   velcursor:{ session, sections: { [name]: { rev, data } } }
+	// Sections are full snapshots; only `rev` changes trigger a handler.
+
+	const BRIDGE_BEACON_PREFIX = "velcursor:";
+	const BRIDGE_BEACON_SELECTOR = `[aria-label^="${BRIDGE_BEACON_PREFIX}"]`;
+	const SETTINGS_STORAGE_KEY = "__vel_cursor_settings__";
+
+	// Pristine copy of CFG; every settings snapshot is applied on top of it.
+	const CFG_DEFAULTS = structuredClone(CFG);
+	// Leaves documented as "or null" accept null or a value of the listed type; the listed type
+	// also covers leaves whose default is null.
+	const NULLABLE_CFG_PATHS = new Map([
+		["shadow.color", "string"],
+		["box.color", "string"],
+		["box.opacity", "number"],
+		["caret.color", "string"],
+		["inertia.selectColor", "string"],
+		["particles.color", "string"],
+		["particles.opacity", "number"],
+		["jumpArc.color", "string"],
+		["jumpArc.flashColor", "string"]
+	]);
+	// Arrays that may change length; every element must match the type of the default's first.
+	const VARIABLE_LENGTH_CFG_PATHS = new Set(["colorRamp.stops"]);
+
+	const isPlainObject = (v) => Boolean(v) && typeof v === "object" && !Array.isArray(v);
+
+	const copyCfgInto = (dst, src) => {
+		for (const key of Object.keys(src)) {
+			const v = src[key];
+			if (Array.isArray(v)) dst[key] = v.slice();
+			else if (isPlainObject(v)) copyCfgInto(dst[key], v);
+			else dst[key] = v;
+		}
+	};
+
+	// Merge a deep partial into dst, keeping only keys and leaf types that exist in defaults.
+	const applyCfgPatch = (dst, defaults, patch, prefix = "") => {
+		if (!isPlainObject(patch)) return;
+		for (const key of Object.keys(patch)) {
+			if (!Object.prototype.hasOwnProperty.call(defaults, key)) continue;
+			const path = prefix ? `${prefix}.${key}` : key;
+			const def = defaults[key];
+			const v = patch[key];
+			if (isPlainObject(def)) {
+				applyCfgPatch(dst[key], def, v, path);
+			} else if (Array.isArray(def)) {
+				if (!Array.isArray(v)) continue;
+				if (VARIABLE_LENGTH_CFG_PATHS.has(path)) {
+					if (v.length > 0 && v.every((x) => typeof x === typeof def[0])) dst[key] = v.slice();
+					continue;
+				}
+				const sameShape = v.length === def.length;
+				if (sameShape && v.every((x, i) => typeof x === typeof def[i])) dst[key] = v.slice();
+			} else if (v === null) {
+				if (NULLABLE_CFG_PATHS.has(path)) dst[key] = null;
+			} else if (
+				typeof v === (def === null ? NULLABLE_CFG_PATHS.get(path) : typeof def) &&
+				(typeof v !== "number" || Number.isFinite(v))
+			) {
+				dst[key] = v;
+			}
+		}
+	};
+
+	const readStoredSettings = () => {
+		try {
+			const raw = window.localStorage.getItem(SETTINGS_STORAGE_KEY);
+			return raw ? JSON.parse(raw) : null;
+		} catch {
+			return null;
+		}
+	};
+
+	const storeSettings = (settings) => {
+		try {
+			window.localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings ?? {}));
+		} catch {
+			// storage may be unavailable; live settings still apply for this session
+		}
+	};
+
+	const parseBridgeLabel = (label) => {
+		if (typeof label !== "string" || !label.startsWith(BRIDGE_BEACON_PREFIX)) return null;
+		try {
+			const msg = JSON.parse(label.slice(BRIDGE_BEACON_PREFIX.length));
+			return isPlainObject(msg) && isPlainObject(msg.sections) ? msg : null;
+		} catch {
+			return null;
+		}
+	};
+
+	// ======================================================================
+	// SECTION 12: Main loop
 	// ======================================================================
 
 	const flag = "__vel_cursor_active__";
-	if (window[flag]) return;
+	// A re-injected copy (e.g. after a script edit) replaces the running one.
+	if (window[flag]) window.__velCursorCleanup?.();
 	window[flag] = true;
 
 		ensureNativeCaretLayerStyle();
-		const { canvas, ctx } = makeCanvas();
-		resizeCanvas(canvas);
-		let cachedCanvasRect = canvas.getBoundingClientRect();
-		let lastCanvasHost = null;
+		const patchedHostPositions = new Map();
+		const revealTarget = makeRevealTarget();
 
 	const NO_MOTION = Object.freeze({ dx: 0, dy: 0, dist: 0, useShort: false });
 	const trailTargetPoint = { x: 0, y: 0 };
 
-	const cursor = new CursorSquish();
-	const bounce = new UnderDampedScalar(CFG.overshoot.omega, CFG.overshoot.zeta);
+	// Editor surfaces by .monaco-editor element. The focused editor's surface is active: it alone
+	// gets caret reads and the full effect. Inactive surfaces fade out what they had and keep a
+	// static caret box dimmed by groups.inactiveBoxOpacity. Surfaces of closed editors are disposed.
+	/** @type {Map<Element, EditorSurface>} */
+	const surfaces = new Map();
+	/** @type {EditorSurface | null} */
+	let active = null;
+	// Visible carets of the current frame: { el, rect, track }.
+	const caretScratch = [];
 
-	let cursorEl = null;
-	let lastAnchorCenter = null;
-	let lastFontBox = null;
-	let liveCaretRect = null;
-	let liveCaretFontSizePx = CFG.box.scaleRefFontSizePx || 14;
-	let pendingMotion = null;
 	let cachedFontBox = null;
-	let cachedFontBoxCursorEl = null;
+	let cachedFontBoxKey = null;
 	let lastFontMetricResolveMs = -Infinity;
+	let lastFrameMs = nowMs();
+	let frameSerial = 0;
 	// Continuous adaptive quality state for both small and large jumps.
 	let perfFrameEmaMs = CFG.performance.targetFrameMs;
 	let perfQuality = 1;
 	let perfTargetQuality = 1;
-	// Trail is gated per caret hop; short hops (typing-scale moves) skip trail emission.
-	let trailAllowedForCurrentMove = true;
 	// Idle mode is driven by center-position movement only, not size-only caret animation.
 	let lastRealMoveMs = nowMs();
-	let lastCursorSeenMs = -Infinity;
-	let canvasVisible = false;
 
-	const setCanvasVisible = (visible) => {
-		if (canvasVisible === visible) return;
-		canvasVisible = visible;
-		canvas.style.opacity = visible ? "1" : "0";
+	const setSurfaceVisible = (surface, visible) => {
+		if (surface.visible === visible) return;
+		surface.visible = visible;
+		surface.canvas.style.opacity = visible ? "1" : "0";
+	};
+
+	// Monaco keeps a caret element while hiding it (scrolled out of view), so a kept caret still
+	// identifies the primary caret.
+	const ensureCursorEl = (surface) => {
+		surface.cursorEl = surface.source.primaryCaret(surface.rootEl, surface.cursorEl);
+		return surface.cursorEl;
+	};
+
+	// Carets sharing a parent (an editor's cursors layer, a terminal's helpers) share font metrics,
+	// so the cache is keyed by the caret's parent element.
+	const resolveFontBoxCached = (surface, el, rect, frameNowMs) => {
+		const key = el.parentElement;
+		const needsFontMetricResolve =
+			!cachedFontBox ||
+			cachedFontBoxKey !== key ||
+			(frameNowMs - lastFontMetricResolveMs) >= FONT_METRIC_CACHE_MS;
+		if (needsFontMetricResolve) {
+			cachedFontBox = surface.source.fontBox(el, rect);
+			cachedFontBoxKey = key;
+			lastFontMetricResolveMs = frameNowMs;
+		}
+		return cachedFontBox;
+	};
+
+	// Visible carets of the surface, primary first, capped by multiCursor.
+	const collectCarets = (surface, primaryEl, out) => {
+		out.length = 0;
+		const limit = CFG.multiCursor.enabled ? Math.max(1, CFG.multiCursor.maxCarets | 0) : 1;
+		return surface.source.collectCarets(surface.rootEl, primaryEl, out, limit);
+	};
+
+	const claimTrack = (caret, track) => {
+		caret.track = track;
+		track.key = caret.el;
+		track.matchedFrame = frameSerial;
 	};
 
-	const ensureCursorEl = () => {
-		const prevEl = cursorEl;
-		if (cursorEl && document.contains(cursorEl)) return cursorEl;
-		cursorEl = findMonacoCursorEl();
-		if (cursorEl !== prevEl) {
-			cachedFontBox = null;
-			cachedFontBoxCursorEl = null;
-			lastFontMetricResolveMs = -Infinity;
+	// While the caret count is stable, tracks follow their caret element; carets on a new element
+	// (a notebook moved to another cell editor) take over the remaining live tracks in order. When
+	// carets are added or removed Monaco re-assigns its secondary cursor nodes, so tracks are instead
+	// re-matched greedily by nearest anchor center within rematchRadiusPx. Unmatched carets start
+	// fresh tracks.
+	const matchCaretTracks = (carets) => {
+		const { tracks } = active;
+		let liveCount = 0;
+		for (const track of tracks) if (track.liveRect) liveCount++;
+
+		if (carets.length === liveCount) {
+			for (const caret of carets) {
+				const track = tracks.find((t) => t.key === caret.el && t.matchedFrame !== frameSerial);
+				if (track) claimTrack(caret, track);
+			}
+			for (const caret of carets) {
+				if (caret.track) continue;
+				const track = tracks.find((t) => t.liveRect && t.matchedFrame !== frameSerial);
+				if (track) claimTrack(caret, track);
+			}
+		} else {
+			const radius = Math.max(0, CFG.multiCursor.rematchRadiusPx || 0);
+			const pairs = [];
+			for (const caret of carets) {
+				const c = getRectCenter(caret.rect);
+				for (const track of tracks) {
+					if (!track.liveRect || !track.anchorCenter) continue;
+					const d = Math.hypot(c.cx - track.anchorCenter.cx, c.cy - track.anchorCenter.cy);
+					if (d <= radius) pairs.push({ caret, track, d });
+				}
+			}
+			pairs.sort((a, b) => a.d - b.d);
+			for (const { caret, track } of pairs) {
+				if (caret.track || track.matchedFrame === frameSerial) continue;
+				claimTrack(caret, track);
+			}
+		}
+
+		for (const caret of carets) {
+			if (caret.track) continue;
+			const track = new CaretTrack(caret.el);
+			tracks.push(track);
+			claimTrack(caret, track);
+		}
+		for (const track of tracks) {
+			if (track.matchedFrame !== frameSerial) track.liveRect = null;
 		}
-		return cursorEl;
 	};
 
-	const pollNativeCursorRect = (frameNowMs) => {
-		const el = ensureCursorEl();
-		if (!el) return false;
+	// Hop context of the current caret read (see updateHopContext). shiftX/shiftY is the scroll shift
+	// still contained in the hops, 0 once compensateScroll has absorbed it.
+	const hopContext = { shiftX: 0, shiftY: 0, scrolled: false, edited: false };
+
+	// caretClasses: classification in document space, i.e. with the .lines-content shift removed.
+	const classifyCaretHop = (motion, fontBox, hop) => {
+		const c = CFG.caretClasses;
+		if (!c.enabled) return "move";
+		const docDx = motion.dx - hop.shiftX;
+		const docDy = motion.dy - hop.shiftY;
+		if (hop.scrolled && Math.hypot(docDx, docDy) <= Math.max(0, c.scrollEpsilonPx)) return "scroll";
+		const lineHeight = Math.max(1, fontBox.height);
+		if (hop.edited) {
+			if (Math.abs(docDy) < lineHeight * 0.5) return docDx > 0 ? "typing" : "deletion";
+			// Enter (or a multi-line paste) moves down; joining lines moves up.
+			return docDy > 0 ? "newline" : "deletion";
+		}
+		const jumped =
+			Math.abs(docDy) >= c.jumpMinLines * lineHeight ||
+			Math.abs(docDx) >= c.jumpMinChars * Math.max(1, fontBox.width);
+		return jumped ? "jump" : "move";
+	};
 
-		const r = el.getBoundingClientRect();
-		if (!(r.width > 0 && r.height > 0)) return false;
-		lastCursorSeenMs = frameNowMs;
+	// Starts an arc (active surface, CFG.jumpArc) for a long navigation hop ending at rect. startMs is
+	// wall-clock time like trail samples. Returns true when one was started.
+	const maybeStartJumpArc = (kind, motion, rect) => {
+		const c = CFG.jumpArc;
+		if (!c.enabled || (kind !== "jump" && kind !== "move")) return false;
+		const stretchLimit = CFG.dynamics.maxTrailDistanceFactor * Math.max(rect.width, rect.height);
+		// The stretch clamp is per axis.
+		const reach = Math.max(Math.abs(motion.dx), Math.abs(motion.dy));
+		if (!(reach >= Math.max(1e-3, c.minDistanceFactor * stretchLimit))) return false;
+
+		const x1 = rect.left + rect.width / 2;
+		const y1 = rect.top + rect.height / 2;
+		const x0 = x1 - motion.dx;
+		const y0 = y1 - motion.dy;
+		// Bow upward; vertical jumps bow to the right.
+		let nx = motion.dy / motion.dist;
+		let ny = -motion.dx / motion.dist;
+		if (ny > 0 || (ny === 0 && nx < 0)) {
+			nx = -nx;
+			ny = -ny;
+		}
+		const bend = Math.max(0, c.bend) * motion.dist;
+		const { jumpArcs } = active;
+		while (jumpArcs.length >= Math.max(1, c.maxArcs)) jumpArcs.shift();
+		jumpArcs.push({
+			startMs: Date.now(),
+			x0,
+			y0,
+			x1,
+			y1,
+			qx: (x0 + x1) / 2 + nx * bend,
+			qy: (y0 + y1) / 2 + ny * bend,
+			lineTop: rect.top,
+			lineHeight: rect.height
+		});
+		return true;
+	};
 
-		const rawCenter = getRectCenter(r);
+	const pruneJumpArcs = (jumpArcs, wallNowMs) => {
+		const c = CFG.jumpArc;
+		if (!c.enabled) {
+			jumpArcs.length = 0;
+			return;
+		}
+		const lifeMs = Math.max(1, c.sweepMs) + Math.max(1, c.fadeMs, c.flashMs);
+		let expired = 0;
+		while (expired < jumpArcs.length && wallNowMs - jumpArcs[expired].startMs >= lifeMs) expired++;
+		if (expired > 0) jumpArcs.splice(0, expired);
+	};
+
+	// Returns true for a caret hop (center change).
+	const updateTrackFromCaret = (track, rect, fontBox, frameNowMs) => {
+		const rawCenter = getRectCenter(rect);
 		const center = {
 			cx: snapToDevicePixel(rawCenter.cx),
 			cy: snapToDevicePixel(rawCenter.cy)
 		};
-		const needsFontMetricResolve =
-			!cachedFontBox ||
-			cachedFontBoxCursorEl !== el ||
-			(frameNowMs - lastFontMetricResolveMs) >= FONT_METRIC_CACHE_MS;
-		if (needsFontMetricResolve) {
-			cachedFontBox = resolveFontMetricBox(el);
-			cachedFontBoxCursorEl = el;
-			lastFontMetricResolveMs = frameNowMs;
-		}
-		const fontBox = cachedFontBox;
 		const synthRect = {
 			left: center.cx - fontBox.width / 2,
 			top: center.cy - fontBox.height / 2,
 			width: fontBox.width,
 			height: fontBox.height
 		};
-		liveCaretRect = synthRect;
-		liveCaretFontSizePx = fontBox.fontSizePx;
-		const centerChanged = didCenterMove(lastAnchorCenter, center, CFG.motion.centerMoveEpsilonPx);
+		track.liveRect = synthRect;
+		// Monaco's line carets are a few px wide; block-style ones span the character cell.
+		const { fontSizePx } = fontBox;
+		const cell = track.caretCell;
+		cell.dx = rect.left - center.cx;
+		cell.dy = rect.top - center.cy;
+		cell.width = rect.width >= 0.3 * fontSizePx ? rect.width : fontSizePx * Math.max(0.05, CFG.caret.cellWidthEm);
+		cell.height = rect.height;
+		const fresh = !track.anchorCenter;
+		const centerChanged = didCenterMove(track.anchorCenter, center, CFG.motion.centerMoveEpsilonPx);
 		const metricChanged =
-			!lastFontBox ||
-			Math.abs(fontBox.width - lastFontBox.width) > CFG.typography.metricEpsilonPx ||
-			Math.abs(fontBox.height - lastFontBox.height) > CFG.typography.metricEpsilonPx;
-		const changed = !lastAnchorCenter || centerChanged || metricChanged;
-
-		if (!changed) return true;
-
-		lastAnchorCenter = center;
-		lastFontBox = { width: fontBox.width, height: fontBox.height };
-		pendingMotion = cursor.setTargetFromRect(synthRect);
-		if (centerChanged) {
-			const minChars = Math.max(0, CFG.trail.minMoveCharsForTrail || 0);
-			const charWidthPx = Math.max(1e-4, fontBox.width);
-			const minTrailMovePx = minChars * charWidthPx;
-			trailAllowedForCurrentMove = pendingMotion.dist >= minTrailMovePx;
-			lastRealMoveMs = frameNowMs;
+			!track.fontBox ||
+			Math.abs(fontBox.width - track.fontBox.width) > CFG.typography.metricEpsilonPx ||
+			Math.abs(fontBox.height - track.fontBox.height) > CFG.typography.metricEpsilonPx;
+		if (!fresh && !centerChanged && !metricChanged) return false;
+
+		track.anchorCenter = center;
+		track.fontBox = { width: fontBox.width, height: fontBox.height };
+		track.pendingMotion = track.cursor.setTargetFromRect(synthRect);
+		track.motionClass = "move";
+		// A newly added caret snaps into place; it has no previous position to trail from.
+		if (fresh) {
+			track.pendingMotion = NO_MOTION;
+			return false;
+		}
+		if (!centerChanged) return false;
+
+		const kind = classifyCaretHop(track.pendingMotion, fontBox, hopContext);
+		const profile = CFG.caretClasses.profiles[kind];
+		track.motionClass = kind;
+		if (profile.snap) track.cursor.snap();
+		// Trail is gated per caret hop; short hops (typing-scale moves) skip trail emission.
+		const minChars = Math.max(0, CFG.trail.minMoveCharsForTrail || 0);
+		const charWidthPx = Math.max(1e-4, fontBox.width);
+		const minTrailMovePx = minChars * charWidthPx;
+		track.trailAllowed = profile.trail && track.pendingMotion.dist >= minTrailMovePx;
+		if (maybeStartJumpArc(kind, track.pendingMotion, synthRect) && CFG.jumpArc.replaceTrail) {
+			track.cursor.snap();
+			track.trailAllowed = false;
+		}
+		if (track.trailAllowed) {
+			track.sampleLife = Math.max(0.05, profile.ttlScale);
+			track.opacityScale = Math.max(0, profile.opacityScale);
+		}
+		lastRealMoveMs = frameNowMs;
+		return true;
+	};
+
+	// Layout reads (caret rects, canvas rect) only happen when an observer marked them dirty or when
+	// performance.layoutPollIntervalMs has elapsed. Observers:
+	// - caret: MutationObserver on the active surface's layoutTargets: its caret layer (caret
+	//   style/class, carets added or removed) and content style (Monaco scrolls by moving
+	//   .lines-content, not the carets)
+	// - canvas: ResizeObserver on every surface's canvas and canvas host, plus window resize (DPR
+	//   changes); canvas layout is tracked per surface
+	// - focusin: focus decides the active editor surface
+	// - inactive surfaces: MutationObserver on their content style, so their static caret box
+	//   follows scrolling
+	// The interval poll is the fallback for what none of these see (e.g. the editor moving without
+	// resizing). Every observer also wakes a parked frame loop (idle.parkWhenSettled); a loop parked
+	// without a visible caret polls at a backed-off rate (nextParkedPollMs).
+	let caretLayoutDirty = true;
+	let lastCaretLayoutReadMs = -Infinity;
+	let inactiveScrollDirty = false;
+	let observedLayoutKey = null;
+	let observedLayerEl = null;
+	let observedContentEl = null;
+	// Content client offset at the previous caret read; null after (re)attaching.
+	let lastContentOffset = null;
+	let lastTextEditMs = -Infinity;
+	// Last class change of the observed caret layer: Monaco (re)starts its blink animations then.
+	let layerClassChangedMs = -Infinity;
+	const markCaretLayoutDirty = () => {
+		caretLayoutDirty = true;
+		wakeLoop();
+	};
+	const markCanvasLayoutDirty = () => {
+		for (const surface of surfaces.values()) surface.canvasLayoutDirty = true;
+		wakeLoop();
+	};
+	const markLayoutDirty = () => {
+		caretLayoutDirty = true;
+		markCanvasLayoutDirty();
+	};
+	const withoutVisibility = (style) => (style ?? "").replace(/visibility\s*:[^;]*;?/g, "").trim();
+	// Monaco's blink phase is not geometry: class flips on the cursors layer itself (animated
+	// styles) and visibility-only style changes on its carets ("blink"). Ignoring them keeps a
+	// parked loop parked while the caret blinks, unless the custom caret blinks along.
+	const isBlinkMutation = (record) => {
+		if (record.type !== "attributes") return false;
+		if (record.target === observedLayerEl) return record.attributeName === "class";
+		return record.attributeName === "style" &&
+			record.target.classList?.contains("cursor") &&
+			withoutVisibility(record.oldValue) === withoutVisibility(record.target.getAttribute("style"));
+	};
+	const onCaretMutations = (records) => {
+		for (const record of records) {
+			if (isBlinkMutation(record)) {
+				if (record.attributeName === "class") layerClassChangedMs = nowMs();
+				if (CFG.caret.mode === "custom") wakeLoop();
+				continue;
+			}
+			markCaretLayoutDirty();
+			return;
+		}
+	};
+	const caretObserver = new MutationObserver(onCaretMutations);
+	// Text changes in .view-lines mark the next caret hops as edits (caretClasses). Caret moves
+	// always come with caret mutations, so this observer does not wake the loop.
+	const textEditObserver = new MutationObserver(() => {
+		lastTextEditMs = nowMs();
+	});
+	const canvasResizeObserver = new ResizeObserver(markCanvasLayoutDirty);
+	const inactiveScrollObserver = new MutationObserver(() => {
+		inactiveScrollDirty = true;
+		wakeLoop();
+	});
+
+	const isLayoutReadDue = (dirty, lastReadMs, frameNowMs) =>
+		dirty || (frameNowMs - lastReadMs) >= Math.max(0, CFG.performance.layoutPollIntervalMs || 0);
+
+	// Caret mode "custom" hides Monaco's carets in the marked layer (ensureNativeCaretLayerStyle).
+	const CUSTOM_CARET_ATTR = "data-vel-caret";
+	const markCaretLayer = (layer, custom) => {
+		if (!layer) return;
+		if (custom) layer.setAttribute(CUSTOM_CARET_ATTR, "custom");
+		else layer.removeAttribute(CUSTOM_CARET_ATTR);
+	};
+
+	// Targets follow the primary caret's parent (a notebook's focused cell), or the surface root
+	// while there is no caret.
+	const observeCaretLayout = (surface) => {
+		const key = surface?.cursorEl?.parentElement ?? surface?.rootEl ?? null;
+		if (key === observedLayoutKey) return;
+		caretObserver.disconnect();
+		textEditObserver.disconnect();
+		observedLayoutKey = key;
+		const prevLayerEl = observedLayerEl;
+		markCaretLayer(prevLayerEl, false);
+		observedLayerEl = null;
+		const prevContentEl = observedContentEl;
+		observedContentEl = null;
+		if (!surface) {
+			lastContentOffset = null;
+			return;
+		}
+		const { layer, content, lines } = surface.source.layoutTargets(surface.rootEl, surface.cursorEl);
+		// Monaco restarts blinking on focus, just before the new layer is observed.
+		if (layer !== prevLayerEl) layerClassChangedMs = nowMs();
+		observedLayerEl = layer;
+		observedContentEl = content;
+		markCaretLayer(layer, CFG.caret.mode === "custom" && surface.source.caretModes);
+		// Switching notebook cells keeps the list rows; their offset still measures the scroll.
+		if (content !== prevContentEl) lastContentOffset = null;
+		if (layer) {
+			caretObserver.observe(layer, {
+				childList: true,
+				subtree: true,
+				attributes: true,
+				attributeOldValue: true,
+				attributeFilter: ["style", "class"]
+			});
+		}
+		if (content) caretObserver.observe(content, { attributes: true, attributeFilter: ["style"] });
+		if (lines && CFG.caretClasses.enabled) {
+			textEditObserver.observe(lines, { childList: true, characterData: true, subtree: true });
+		}
+	};
+
+	// Scroll shift (offset change of the layoutTargets content, e.g. .lines-content) since the
+	// previous caret read, and whether text changed within caretClasses.editWindowMs.
+	const updateHopContext = (frameNowMs) => {
+		const hop = hopContext;
+		hop.shiftX = 0;
+		hop.shiftY = 0;
+		if (observedContentEl && (CFG.caretClasses.enabled || CFG.motion.scrollCompensation)) {
+			const r = observedContentEl.getBoundingClientRect();
+			if (lastContentOffset) {
+				hop.shiftX = r.left - lastContentOffset.x;
+				hop.shiftY = r.top - lastContentOffset.y;
+			} else {
+				lastContentOffset = { x: 0, y: 0 };
+			}
+			lastContentOffset.x = r.left;
+			lastContentOffset.y = r.top;
+		}
+		hop.scrolled = Math.hypot(hop.shiftX, hop.shiftY) > Math.max(0, CFG.caretClasses.scrollEpsilonPx);
+		// Scrolling renders lines as well; those mutations are not edits.
+		if (hop.scrolled) lastTextEditMs = -Infinity;
+		hop.edited = frameNowMs - lastTextEditMs <= Math.max(0, CFG.caretClasses.editWindowMs);
+	};
+
+	// motion.scrollCompensation: moves everything stored in client px along with the scroll, so the
+	// hops of this read only carry document-space motion.
+	const compensateScroll = (hop) => {
+		const dx = hop.shiftX;
+		const dy = hop.shiftY;
+		if (!CFG.motion.scrollCompensation || (dx === 0 && dy === 0)) return;
+		active.translate(dx, dy);
+		hop.shiftX = 0;
+		hop.shiftY = 0;
+	};
+
+	const observeCanvasHost = (surface, host) => {
+		if (surface.host) canvasResizeObserver.unobserve(surface.host);
+		canvasResizeObserver.observe(host);
+		surface.canvasLayoutDirty = true;
+	};
+
+	const refreshCanvasLayout = (surface, frameNowMs) => {
+		if (!isLayoutReadDue(surface.canvasLayoutDirty, surface.lastCanvasLayoutReadMs, frameNowMs)) return;
+		surface.canvasLayoutDirty = false;
+		surface.lastCanvasLayoutReadMs = frameNowMs;
+		surface.canvasRect = surface.canvas.getBoundingClientRect();
+		resizeCanvas(surface.canvas, surface.canvasRect);
+	};
+
+	// Inactive surfaces keep their static caret box over the document while their editor scrolls;
+	// with motion.scrollCompensation off it stays put like the trails do.
+	const watchInactiveScroll = () => {
+		inactiveScrollObserver.disconnect();
+		for (const surface of surfaces.values()) {
+			if (surface === active || !surface.contentEl) continue;
+			inactiveScrollObserver.observe(surface.contentEl, { attributes: true, attributeFilter: ["style"] });
+		}
+	};
+
+	const syncInactiveScroll = () => {
+		if (!inactiveScrollDirty) return;
+		inactiveScrollDirty = false;
+		for (const surface of surfaces.values()) {
+			if (surface === active || !surface.contentEl) continue;
+			const rect = surface.contentEl.getBoundingClientRect();
+			const dx = rect.left - surface.contentOffset.left;
+			const dy = rect.top - surface.contentOffset.top;
+			surface.contentOffset = { left: rect.left, top: rect.top };
+			if (!CFG.motion.scrollCompensation || (dx === 0 && dy === 0)) continue;
+			surface.translate(dx, dy);
+			surface.needsDraw = true;
+		}
+	};
+
+	const activateSurface = (rootEl) => {
+		if (active) {
+			// No caret reads until the surface gets focus back; what it shows fades out.
+			active.contentEl = active.source.layoutTargets(active.rootEl, active.cursorEl).content;
+			if (active.contentEl) {
+				const rect = active.contentEl.getBoundingClientRect();
+				active.contentOffset = { left: rect.left, top: rect.top };
+			}
+			active.needsDraw = true;
+		}
+		if (!rootEl) {
+			active = null;
+			watchInactiveScroll();
+			return;
+		}
+		let surface = surfaces.get(rootEl);
+		if (!surface) {
+			surface = new EditorSurface(rootEl, sourceOfRoot(rootEl));
+			surfaces.set(rootEl, surface);
+			canvasResizeObserver.observe(surface.canvas);
+		} else {
+			// Catch up with scrolling since the last observed mutation; the hop context restarts from
+			// the current offset (observeCaretLayout).
+			inactiveScrollDirty = true;
+			syncInactiveScroll();
+		}
+		surface.contentEl = null;
+		surface.contentOffset = null;
+		surface.caretBlinkStartMs = nowMs();
+		active = surface;
+		watchInactiveScroll();
+	};
+
+	// Editor groups closed, split editors merged, diff editors disposed, terminals killed: their
+	// surfaces go with them, as do surfaces of kinds disabled in CFG.sources.
+	const pruneSurfaces = () => {
+		let pruned = false;
+		for (const [rootEl, surface] of surfaces) {
+			if (document.contains(rootEl) && CFG.sources[surface.kind]) continue;
+			if (surface.host) {
+				canvasResizeObserver.unobserve(surface.host);
+				restoreHostPosition(patchedHostPositions, surface.host);
+			}
+			canvasResizeObserver.unobserve(surface.canvas);
+			surface.dispose();
+			surfaces.delete(rootEl);
+			if (surface === active) active = null;
+			pruned = true;
+		}
+		if (pruned) watchInactiveScroll();
+	};
+
+	// The focused surface owns the trail. Without focus on an enabled surface (e.g. the command
+	// palette is open) the last active surface keeps it while it exists; before any focus, the
+	// discovered one (discoverSurfaceRoot).
+	const resolveActiveRoot = () => {
+		const focused =
+			findSurfaceRoot(document.activeElement) ?? findSurfaceRoot(document.querySelector(FOCUS_SELECTOR));
+		if (focused) return focused;
+		if (active) return active.rootEl;
+		return discoverSurfaceRoot();
+	};
+
+	const pollNativeCarets = (frameNowMs) => {
+		if (active?.cursorEl && !document.contains(active.cursorEl)) caretLayoutDirty = true;
+		if (!isLayoutReadDue(caretLayoutDirty, lastCaretLayoutReadMs, frameNowMs)) {
+			// Geometry unchanged since the last read; carets seen then are still there.
+			if (caretScratch.length === 0) return false;
+			active.lastCursorSeenMs = frameNowMs;
+			return true;
+		}
+		caretLayoutDirty = false;
+		lastCaretLayoutReadMs = frameNowMs;
+
+		pruneSurfaces();
+		const rootEl = resolveActiveRoot();
+		if (rootEl !== (active?.rootEl ?? null)) activateSurface(rootEl);
+		const el = active ? ensureCursorEl(active) : null;
+		observeCaretLayout(active);
+		if (!el) {
+			caretScratch.length = 0;
+			return false;
+		}
+		const carets = collectCarets(active, el, caretScratch);
+		if (carets.length === 0) return false;
+		active.lastCursorSeenMs = frameNowMs;
+		active.lastPrimaryCaretX = carets[0].rect.left + carets[0].rect.width / 2;
+
+		// Before matching: tracks are re-matched by anchor distance.
+		updateHopContext(frameNowMs);
+		compensateScroll(hopContext);
+		frameSerial++;
+		matchCaretTracks(carets);
+		const fontBox = resolveFontBoxCached(active, el, carets[0].rect, frameNowMs);
+		active.caretFontSizePx = fontBox.fontSizePx;
+		let hopped = false;
+		for (const caret of carets) hopped = updateTrackFromCaret(caret.track, caret.rect, fontBox, frameNowMs) || hopped;
+		// One edit classifies the hops of this read (all carets of a multi-cursor edit), no later ones.
+		// Like Monaco's, the custom caret shows solid after a hop before it blinks again.
+		if (hopped) {
+			lastTextEditMs = -Infinity;
+			active.caretBlinkStartMs = frameNowMs;
+		}
+		return true;
+	};
+
+	// Custom caret (CFG.caret mode "custom") on Monaco surfaces. "auto" shape and blinking follow
+	// Monaco's own caret, read from the observed cursors layer: its style classes (editor.cursorStyle;
+	// editor.cursorBlinking smooth/phase/expand, set once the animation starts) and the primary
+	// caret's visibility, which Monaco toggles for "blink" and clears while the editor is unfocused.
+	const CURSOR_STYLE_CLASSES = [
+		["cursor-block-outline-style", "hollow", false],
+		["cursor-block-style", "block", false],
+		["cursor-underline-thin-style", "underline", true],
+		["cursor-underline-style", "underline", false],
+		["cursor-line-thin-style", "line", true]
+	];
+	const BLINK_ANIMATION_CLASSES = [
+		["cursor-smooth", "smooth"],
+		["cursor-phase", "phase"],
+		["cursor-expand", "expand"]
+	];
+	// Frame state handed to draw(); wakeInMs: when a parked loop has to draw the next blink change.
+	const customCaret = { shape: "line", thin: false, alpha: 1, scaleY: 1, wakeInMs: Infinity };
+
+	const resolveCustomCaret = (frameNowMs) => {
+		const c = CFG.caret;
+		const layer = observedLayerEl;
+		if (c.mode !== "custom" || !active?.source.caretModes || !layer) return null;
+		const classes = layer.classList;
+		customCaret.shape = c.shape;
+		customCaret.thin = false;
+		if (c.shape === "auto") {
+			const match = CURSOR_STYLE_CLASSES.find(([cls]) => classes.contains(cls));
+			customCaret.shape = match?.[1] ?? "line";
+			customCaret.thin = match?.[2] ?? false;
+		}
+
+		let style = c.blink;
+		let tMs = frameNowMs - active.caretBlinkStartMs - (style === "blink" ? 0 : CARET_BLINK_HALF_MS);
+		let hidden = !layer.closest(".monaco-editor")?.classList.contains("focused");
+		if (style === "auto") {
+			style = BLINK_ANIMATION_CLASSES.find(([cls]) => classes.contains(cls))?.[1] ?? "solid";
+			tMs = frameNowMs - layerClassChangedMs;
+			hidden = active.cursorEl?.style.visibility === "hidden";
+		}
+		caretBlinkFrame(style, tMs, customCaret);
+		if (hidden) customCaret.alpha = 0;
+
+		customCaret.wakeInMs = Infinity;
+		if (hidden || style === "solid") return customCaret;
+		if (style === "blink") {
+			customCaret.wakeInMs = CARET_BLINK_HALF_MS - (tMs % CARET_BLINK_HALF_MS);
+		} else if (tMs < CARET_BLINK_ANIMATED_MS) {
+			customCaret.wakeInMs = tMs < 0 ? -tMs : 1000 / Math.max(1e-3, CFG.performance.idleFps);
+		}
+		return customCaret;
+	};
+
+	// Off-screen caret indicator (CFG.offscreen). Monaco hides carets scrolled out of view, so the
+	// host reports where the primary caret went (bridge section "caret"); the indicator sits at the
+	// primary caret's last visible x in the active editor.
+	const offscreenCaret = { direction: null, line: 0 };
+	let revealTargetShown = false;
+
+	const applyCaretVisibility = (data) => {
+		if (!isPlainObject(data)) return;
+		offscreenCaret.direction = data.offscreen === "above" || data.offscreen === "below" ? data.offscreen : null;
+		offscreenCaret.line = finiteOr(data.line, 0);
+	};
+
+	// The caret element stays in the DOM while Monaco hides it, so its editor still hosts the canvas.
+	// The host reports the text editor's caret, so other surfaces (the terminal) show no indicator.
+	const resolveOffscreenDirection = () => {
+		if (!CFG.offscreen.enabled || !offscreenCaret.direction) return null;
+		if (!active?.source.caretModes || !active.cursorEl || !active.host || !document.contains(active.host)) return null;
+		return offscreenCaret.direction;
+	};
+
+	// While the caret is off-screen, the host shows a status bar item that reveals it
+	// (updateRevealItem in extension.js); the indicator clicks that item, found by its label.
+	const REVEAL_ITEM_SELECTOR = '[aria-label^="VelCursor: reveal cursor"]';
+	const requestCaretReveal = () => {
+		document.querySelector(REVEAL_ITEM_SELECTOR)?.click();
+	};
+
+	// Monaco places the caret on pointer down, so the click target swallows it.
+	const swallowPointerDown = (event) => {
+		event.preventDefault();
+		event.stopPropagation();
+	};
+	const onRevealTargetClick = (event) => {
+		swallowPointerDown(event);
+		requestCaretReveal();
+	};
+	revealTarget.addEventListener("pointerdown", swallowPointerDown);
+	revealTarget.addEventListener("mousedown", swallowPointerDown);
+	revealTarget.addEventListener("click", onRevealTargetClick);
+
+	const REVEAL_TARGET_SLOP_PX = 4;
+	// box: arrow bounds in canvas (= host) coordinates.
+	const placeRevealTarget = (box) => {
+		const host = active?.host;
+		if (!CFG.offscreen.clickToReveal || !host) {
+			hideRevealTarget();
+			return;
+		}
+		if (revealTarget.parentElement !== host) host.appendChild(revealTarget);
+		const style = revealTarget.style;
+		style.left = `${box.left - REVEAL_TARGET_SLOP_PX}px`;
+		style.top = `${box.top - REVEAL_TARGET_SLOP_PX}px`;
+		style.width = `${box.width + 2 * REVEAL_TARGET_SLOP_PX}px`;
+		style.height = `${box.height + 2 * REVEAL_TARGET_SLOP_PX}px`;
+		revealTarget.title = offscreenCaret.line > 0 ? `Reveal cursor (line ${offscreenCaret.line})` : "Reveal cursor";
+		style.display = "block";
+		revealTargetShown = true;
+	};
+
+	const hideRevealTarget = () => {
+		if (!revealTargetShown) return;
+		revealTarget.style.display = "none";
+		revealTargetShown = false;
+	};
+
+	// Adaptive render cadence (performance.adaptiveFpsEnabled). Springs, overshoot and trail
+	// sampling still advance every animation frame with the real dt; only draws are thinned.
+	// Tiers: heavy/degraded/active by perfQuality while anything animates, idleFps when only a
+	// fading trail or a parked caret remains. Fresh caret motion draws immediately.
+	const FRAME_DUE_TOLERANCE_MS = 2;
+	let nextDrawDueMs = -Infinity;
+
+	const resolveTargetFps = (animating) => {
+		const p = CFG.performance;
+		if (!animating) return p.idleFps;
+		if (perfQuality < p.heavyFpsQuality) return p.heavyFps;
+		if (perfQuality < p.degradedFpsQuality) return p.degradedFps;
+		return p.activeFps;
+	};
+
+	const isDrawDue = (frameNowMs, animating, freshMotion) => {
+		if (!CFG.performance.adaptiveFpsEnabled) return true;
+		if (!freshMotion && frameNowMs < nextDrawDueMs - FRAME_DUE_TOLERANCE_MS) return false;
+		const intervalMs = 1000 / Math.max(1e-3, resolveTargetFps(animating));
+		// Accumulate due times so non-divisor rates (45 fps on 60 Hz) average out; resync after stalls.
+		const resync = freshMotion || frameNowMs - nextDrawDueMs > intervalMs;
+		nextDrawDueMs = (resync ? frameNowMs : nextDrawDueMs) + intervalMs;
+		return true;
+	};
+
+	// Host inertia telemetry (bridge section "inertia", see cursorInertia.js). The host only sends
+	// snapshots on events (run start/stop, impulse, direction switch, select mode, tuning); between
+	// them velocity is extrapolated with the host's own decay curve (inertiaVelocityAt).
+	const INERTIA_DECAY_CURVES = ["exponential", "friction", "drag", "spring"];
+	const inertiaTelemetry = {
+		running: false,
+		velocity: 0,
+		selectMode: false,
+		runs: 0,
+		switches: 0,
+		referenceTickMs: 32,
+		decay: 1,
+		cutoff: 0,
+		maxStepPerTick: 1,
+		decayCurve: "exponential",
+		friction: 0,
+		drag: 0,
+		springRemaining: 0,
+		springRate: 0,
+		receivedMs: 0
+	};
+	let inertiaFlareStartMs = -Infinity;
+	let inertiaFlareGain = 0;
+	// Per-frame effect state handed to draw(); reused to keep the hot path allocation-free.
+	const inertiaFx = { speed: 0, ttlScale: 1, scaleExtra: 0, selectTint: false, active: false };
+
+	const finiteOr = (v, fallback) => (Number.isFinite(v) ? v : fallback);
+
+	const applyInertiaTelemetry = (data) => {
+		if (!isPlainObject(data)) return;
+		const t = inertiaTelemetry;
+		const running = data.running === true;
+		const runs = finiteOr(data.runs, t.runs);
+		const switches = finiteOr(data.switches, t.switches);
+		// Counters restart with a new host session, so compare for change rather than growth.
+		if (running && runs !== t.runs) {
+			inertiaFlareStartMs = nowMs();
+			inertiaFlareGain = CFG.inertia.flareRunStartGain;
+			pendingRunBurst = Object.hasOwn(DIR_VECTORS, data.dir) ? DIR_VECTORS[data.dir] : NO_DIR;
+		} else if (running && switches !== t.switches) {
+			inertiaFlareStartMs = nowMs();
+			inertiaFlareGain = CFG.inertia.flareSwitchGain;
+		}
+		t.running = running;
+		t.velocity = Math.max(0, finiteOr(data.velocity, 0));
+		t.selectMode = data.selectMode === true;
+		t.runs = runs;
+		t.switches = switches;
+		// Hosts from before the time-based integrator decay per tick.
+		t.referenceTickMs = Math.max(1, finiteOr(data.referenceTickMs, finiteOr(data.tickMs, t.referenceTickMs)));
+		t.decay = clamp(finiteOr(data.decay, t.decay), 0, 1);
+		t.cutoff = Math.max(0, finiteOr(data.cutoff, t.cutoff));
+		t.maxStepPerTick = Math.max(1, finiteOr(data.maxStepPerTick, t.maxStepPerTick));
+		t.decayCurve = INERTIA_DECAY_CURVES.includes(data.decayCurve) ? data.decayCurve : "exponential";
+		t.friction = Math.max(0, finiteOr(data.friction, 0));
+		t.drag = Math.max(0, finiteOr(data.drag, 0));
+		t.springRemaining = Math.max(0, finiteOr(data.springRemaining, 0));
+		t.springRate = Math.max(0, finiteOr(data.springRate, 0));
+		t.receivedMs = nowMs();
+	};
+
+	// Velocity `tau` reference ticks after the snapshot, by the host's laws (FREE_CURVES and the spring).
+	const inertiaVelocityAt = (t, tau) => {
+		const v = t.velocity;
+		if (t.decayCurve === "friction") return v - t.friction * tau;
+		if (t.decayCurve === "drag") return v / (1 + t.drag * v * tau);
+		if (t.decayCurve === "spring") {
+			const x = t.springRemaining;
+			const w = t.springRate;
+			return (v + w * (w * x - v) * tau) * Math.exp(-w * tau);
+		}
+		return v * Math.pow(t.decay, tau);
+	};
+
+	const inertiaSpeedAt = (frameNowMs) => {
+		const t = inertiaTelemetry;
+		if (!t.running) return 0;
+		const v = inertiaVelocityAt(t, Math.max(0, frameNowMs - t.receivedMs) / t.referenceTickMs);
+		// A spring can creep toward its target below cutoff; that is too slow to show anyway.
+		if (v < t.cutoff) return 0;
+		return clamp(v / t.maxStepPerTick, 0, 1);
+	};
+
+	const updateInertiaFx = (frameNowMs, dtSec) => {
+		const c = CFG.inertia;
+		const fx = inertiaFx;
+		if (!c.enabled) {
+			fx.speed = 0;
+			fx.ttlScale = 1;
+			fx.scaleExtra = 0;
+			fx.selectTint = false;
+			fx.active = false;
+			return;
+		}
+		const target = inertiaSpeedAt(frameNowMs);
+		const alpha = 1 - Math.exp((-dtSec * 1000) / Math.max(1, c.speedSmoothingMs));
+		fx.speed = lerp(fx.speed, target, alpha);
+		if (target === 0 && fx.speed < 1e-3) fx.speed = 0;
+		const flareAge = (frameNowMs - inertiaFlareStartMs) / Math.max(1, c.flareMs);
+		const flare = flareAge < 1 ? inertiaFlareGain * (1 - flareAge) : 0;
+		fx.ttlScale = 1 + Math.max(0, c.ttlGain) * fx.speed;
+		fx.scaleExtra = Math.max(0, c.widthGain) * fx.speed + flare;
+		fx.selectTint = inertiaTelemetry.selectMode && Boolean(c.selectColor);
+		fx.active = fx.speed > 0 || flare > 0;
+	};
+
+	// Particles (CFG.particles): caret hops, overshoot kicks and typing emit from stepTrack; inertia
+	// run starts are queued by the telemetry handler and emitted on the next frame. Each editor
+	// surface has its own pool.
+	// Live cap for the current frame (resolveParticleLimit).
+	let particleLimit = 0;
+	// Unit vector of the run direction while a run-start burst is queued, else null.
+	let pendingRunBurst = null;
+	const NO_DIR = Object.freeze({ x: 0, y: 0 });
+	const DIR_VECTORS = {
+		up: Object.freeze({ x: 0, y: -1 }),
+		down: Object.freeze({ x: 0, y: 1 }),
+		left: Object.freeze({ x: -1, y: 0 }),
+		right: Object.freeze({ x: 1, y: 0 })
+	};
+
+	// maxParticles, scaled down to 0 as perfQuality drops from qualityShedStart to qualityMin.
+	const resolveParticleLimit = () => {
+		const c = CFG.particles;
+		if (!c.enabled) return 0;
+		const qMin = CFG.performance.qualityMin;
+		const shed = clamp((perfQuality - qMin) / Math.max(1e-4, c.qualityShedStart - qMin), 0, 1);
+		return Math.floor(Math.max(0, c.maxParticles) * shed);
+	};
+
+	const jitterScale = (amount) => 1 + clamp(amount, 0, 1) * (Math.random() * 2 - 1);
+
+	// Spawns `count` particles into `pool`, spread over the segment (x0, y0)-(x1, y1), launched along
+	// (dirX, dirY) within +-spreadDeg. A zero direction launches in all directions.
+	const emitParticles = (pool, count, x0, y0, x1, y1, dirX, dirY) => {
+		const c = CFG.particles;
+		const n = Math.min(Math.round(count), particleLimit - pool.count);
+		if (!(n > 0)) return;
+		const directed = dirX !== 0 || dirY !== 0;
+		const baseAngle = directed ? Math.atan2(dirY, dirX) : 0;
+		const spread = directed ? (clamp(c.spreadDeg, 0, 180) * Math.PI) / 180 : Math.PI;
+		const speed = Math.max(0, c.speedPxPerSec);
+		for (let i = 0; i < n; i++) {
+			const p = pool.spawn(particleLimit);
+			if (!p) return;
+			const t = (i + Math.random()) / n;
+			const angle = baseAngle + (Math.random() * 2 - 1) * spread;
+			const launch = speed * jitterScale(c.speedJitter);
+			p.x = lerp(x0, x1, t);
+			p.y = lerp(y0, y1, t);
+			p.vx = Math.cos(angle) * launch;
+			p.vy = Math.sin(angle) * launch;
+			p.ageMs = 0;
+			p.ttlMs = Math.max(1, c.ttlMs * jitterScale(c.ttlJitter));
+			p.size = Math.max(0.1, c.sizePx * jitterScale(c.sizeJitter));
+		}
+	};
+
+	// Typing hops (caretClasses) puff dust upward with particles.typingEnabled. Hops whose profile
+	// allows particles puff dust where the caret lands (overshoot kick); long ones also leave
+	// sparks along their path, thrown backwards.
+	const emitMotionParticles = (pool, track, motion, kick, profile) => {
+		const c = CFG.particles;
+		const r = track.liveRect;
+		if (!r || !(motion.dist > 0)) return;
+		const x1 = r.left + r.width / 2;
+		const y1 = r.top + r.height / 2;
+		const x0 = x1 - motion.dx;
+		const y0 = y1 - motion.dy;
+		if (track.motionClass === "typing" && c.typingEnabled) emitParticles(pool, c.typingBurst, x0, y0, x0, y0, 0, -1);
+		if (!profile.particles) return;
+		if (motion.dist >= c.moveMinPx) {
+			const count = Math.min(Math.max(0, c.moveMaxBurst), motion.dist * Math.max(0, c.movePerPx));
+			emitParticles(pool, count, x0, y0, x1, y1, -motion.dx / motion.dist, -motion.dy / motion.dist);
+		}
+		if (kick > 0 && CFG.overshoot.maxKick > 0) {
+			emitParticles(pool, (Math.max(0, c.kickBurst) * kick) / CFG.overshoot.maxKick, x1, y1, x1, y1, 0, 0);
+		}
+	};
+
+	// Thrown against the run direction from every live caret of the active editor.
+	const emitRunStartParticles = (surface) => {
+		const dir = pendingRunBurst;
+		pendingRunBurst = null;
+		if (!dir) return;
+		for (const track of surface.tracks) {
+			const r = track.liveRect;
+			if (!r) continue;
+			const cx = r.left + r.width / 2;
+			const cy = r.top + r.height / 2;
+			emitParticles(surface.particles, CFG.particles.runStartBurst, cx, cy, cx, cy, -dir.x, -dir.y);
+		}
+	};
+
+	const stepTrack = (track, pool, dtSec, wallNowMs) => {
+		const motion = track.pendingMotion || NO_MOTION;
+		track.pendingMotion = null;
+
+		// Kick overshoot on motion events, shaped by the hop's caretClasses profile.
+		const profile = CFG.caretClasses.profiles[track.motionClass];
+		let kick = 0;
+		if (CFG.overshoot.enabled && motion.dist > 0) {
+			const distanceKick = motion.dist * CFG.overshoot.kickPerPx * Math.max(0, profile.kickScale);
+			kick = clamp(distanceKick + Math.max(0, profile.pulse), 0, CFG.overshoot.maxKick);
+			if (kick > 0) track.bounce.kick(kick);
+		}
+		if (particleLimit > 0) emitMotionParticles(pool, track, motion, kick, profile);
+
+		const moving = track.cursor.step(dtSec, motion);
+		track.moving = moving;
+
+		// Overshoot scale derived from oscillator state
+		track.bounce.step(dtSec);
+		track.scaleExtra = 0;
+		if (CFG.overshoot.enabled) {
+			track.scaleExtra = clamp(track.bounce.x * CFG.overshoot.gain, CFG.overshoot.minScale, CFG.overshoot.maxScale);
+		}
+
+		// Detached tracks (caret removed) stop emitting and only fade out.
+		const boxRect = track.liveRect;
+		if (boxRect && moving && track.trailAllowed) {
+			trailTargetPoint.x = boxRect.left + boxRect.width / 2;
+			trailTargetPoint.y = boxRect.top + boxRect.height / 2;
+			// Even short moves can adapt when frame pressure is high.
+			pushTrailPolygon(track, track.cursor.getCornerPolygon(CFG.rect.padPx), trailTargetPoint, wallNowMs, perfQuality);
+		}
+		pruneTrail(track, wallNowMs, CFG.trail.ttlMs * inertiaFx.ttlScale);
+	};
+
+	// Frame loop parking (idle.parkWhenSettled). A parked loop has no pending animation frame;
+	// wakeLoop() re-arms it from observer and event callbacks. A disabled (CFG.enabled = false) or
+	// disposed renderer stays parked.
+	let rafHandle = 0;
+	let loopParked = false;
+	let rendererSuspended = false;
+	let disposed = false;
+
+	const parkLoop = () => {
+		loopParked = true;
+		rafHandle = 0;
+	};
+
+	const scheduleFrame = () => {
+		if (disposed || rendererSuspended) {
+			parkLoop();
+			return;
+		}
+		rafHandle = requestAnimationFrame(rafLoop);
+	};
+
+	const cancelFrame = () => {
+		if (rafHandle) cancelAnimationFrame(rafHandle);
+		parkLoop();
+	};
+
+	const wakeLoop = () => {
+		if (!loopParked || disposed || rendererSuspended) return;
+		loopParked = false;
+		// The parked span is not simulation time, and the first frame back should draw.
+		lastFrameMs = nowMs();
+		nextDrawDueMs = -Infinity;
+		scheduleFrame();
+	};
+
+	// A parked loop still draws the custom caret's blink changes (resolveCustomCaret wakeInMs).
+	// Without a visible caret, the observers, focusin and the host's caret section wake it; the
+	// fallback layout poll backs off from performance.layoutPollIntervalMs, doubling up to
+	// PARKED_POLL_MAX_MS, until a caret shows again.
+	const PARKED_POLL_MAX_MS = 5000;
+	let parkedPollMs = 0;
+	const nextParkedPollMs = () => {
+		parkedPollMs = clamp(parkedPollMs * 2 || CFG.performance.layoutPollIntervalMs, 1, PARKED_POLL_MAX_MS);
+		return parkedPollMs;
+	};
+	let parkedWakeTimer = 0;
+	const armParkedWake = (delayMs) => {
+		clearTimeout(parkedWakeTimer);
+		parkedWakeTimer = Number.isFinite(delayMs) ? setTimeout(wakeLoop, Math.max(1, delayMs)) : 0;
+	};
+
+	const isSettled = (isIdle, animating) => {
+		if (!isIdle || animating || caretLayoutDirty || inactiveScrollDirty) return false;
+		for (const surface of surfaces.values()) {
+			if (surface.needsDraw) return false;
+			for (const track of surface.tracks) {
+				if (track.trail.length > 0) return false;
+			}
 		}
 		return true;
 	};
 
+	// Canvases follow their editor's host (.overflow-guard), which Monaco may re-create.
+	const attachSurface = (surface) => {
+		const host = surface.source.host(surface.rootEl);
+		if (host && host !== surface.host) {
+			attachCanvasToHost(surface.canvas, host, patchedHostPositions);
+			observeCanvasHost(surface, host);
+			surface.host = host;
+		} else if (host && surface.canvas.parentElement !== host) {
+			attachCanvasToHost(surface.canvas, host, patchedHostPositions);
+		}
+	};
+
+	// Inactive surfaces get no caret reads and no inertia effects: springs settle, trails, particles
+	// and arcs fade out, and the caret box stays where the caret was, dimmed. They redraw only while
+	// that changes. Returns whether any of them is still animating.
+	const updateInactiveSurfaces = (frameNowMs, dtSec, wallNowMs) => {
+		syncInactiveScroll();
+		const boxOpacityScale = CFG.caret.mode === "native" ? 0 : clamp(CFG.groups.inactiveBoxOpacity, 0, 1);
+		let busy = false;
+		for (const surface of surfaces.values()) {
+			if (surface === active) continue;
+			attachSurface(surface);
+			if (!surface.needsDraw && !surface.isBusy()) continue;
+			const { tracks } = surface;
+			surface.particles.trim(resolveParticleLimit());
+			surface.particles.step(dtSec, CFG.particles.gravityPxPerSec2, CFG.particles.dragPerSec);
+			for (let i = tracks.length - 1; i >= 0; i--) {
+				stepTrack(tracks[i], surface.particles, dtSec, wallNowMs);
+				if (!tracks[i].liveRect && tracks[i].trail.length === 0) tracks.splice(i, 1);
+			}
+			pruneJumpArcs(surface.jumpArcs, wallNowMs);
+			refreshCanvasLayout(surface, frameNowMs);
+			draw(
+				surface.ctx,
+				surface.canvas,
+				tracks,
+				surface.caretFontSizePx,
+				true,
+				surface.canvasRect.left,
+				surface.canvasRect.top,
+				wallNowMs,
+				perfQuality,
+				null,
+				surface.particles,
+				surface.jumpArcs,
+				boxOpacityScale
+			);
+			surface.needsDraw = false;
+			const surfaceBusy = surface.isBusy();
+			busy = busy || surfaceBusy;
+			setSurfaceVisible(surface, surfaceBusy || (boxOpacityScale > 0 && tracks.some((t) => t.liveRect)));
+		}
+		return busy;
+	};
+
 		const rafLoop = () => {
+			let park = false;
 			try {
 				const frameNowMs = nowMs();
-				const hasCursor = pollNativeCursorRect(frameNowMs);
-				const host = findCanvasHostForCursorEl(cursorEl);
-				if (host && host !== lastCanvasHost) {
-					attachCanvasToHost(canvas, host);
-					lastCanvasHost = host;
-				} else if (host && canvas.parentElement !== host) {
-					attachCanvasToHost(canvas, host);
-				}
+				const hasCursor = pollNativeCarets(frameNowMs);
+				if (active) attachSurface(active);
 
-				const dtSec = clamp((frameNowMs - cursor.last.t) / 1000, 0, 0.05);
-				cursor.last.t = frameNowMs;
+				const dtSec = clamp((frameNowMs - lastFrameMs) / 1000, 0, 0.05);
+				lastFrameMs = frameNowMs;
+				const inactiveBusy = updateInactiveSurfaces(frameNowMs, dtSec, Date.now());
 
-			const cursorVisible = hasCursor || (frameNowMs - lastCursorSeenMs) <= CFG.visibility.noCursorHideDelayMs;
+			const cursorVisible =
+				active !== null &&
+				(hasCursor || (frameNowMs - active.lastCursorSeenMs) <= CFG.visibility.noCursorHideDelayMs);
 			if (!cursorVisible) {
-				setCanvasVisible(false);
-				clearCanvas(ctx, canvas);
-				requestAnimationFrame(rafLoop);
+				const direction = resolveOffscreenDirection();
+				if (active) {
+					const { ctx, canvas } = active;
+					if (direction) refreshCanvasLayout(active, frameNowMs);
+					clearCanvas(ctx, canvas);
+					if (direction) {
+						const rect = active.canvasRect;
+						const caretX = (active.lastPrimaryCaretX ?? rect.left + rect.width / 2) - rect.left;
+						const styles = getRenderStyles(inertiaFx.selectTint);
+						placeRevealTarget(drawOffscreenIndicator(ctx, canvas, direction, caretX, styles));
+					}
+					setSurfaceVisible(active, Boolean(direction));
+				}
+				if (!direction) hideRevealTarget();
+				if (CFG.idle.parkWhenSettled && !inactiveBusy) {
+					parkLoop();
+					// A caret coming back may not touch the observed targets.
+					armParkedWake(nextParkedPollMs());
+				} else scheduleFrame();
 				return;
 			}
-			setCanvasVisible(true);
-
-			const motion = pendingMotion || NO_MOTION;
-			pendingMotion = null;
+			parkedPollMs = 0;
+			hideRevealTarget();
+			setSurfaceVisible(active, true);
+			const { tracks, particles, jumpArcs } = active;
+
+			// Quality adapts to the largest caret hop of the frame.
+			let motionDist = 0;
+			for (const track of tracks) motionDist = Math.max(motionDist, track.pendingMotion?.dist ?? 0);
 			const frameMs = dtSec * 1000;
 			if (CFG.performance.enabled) {
 				perfFrameEmaMs = lerp(perfFrameEmaMs, frameMs, CFG.performance.emaAlpha);
@@ -2379,7 +5307,7 @@
 					0,
 					1
 				);
-				const distancePressure = clamp(motion.dist / Math.max(1e-4, CFG.performance.distanceNormPx), 0, 1);
+				const distancePressure = clamp(motionDist / Math.max(1e-4, CFG.performance.distanceNormPx), 0, 1);
 				const hybridPressure = clamp(
 					CFG.performance.frameWeight * framePressure + CFG.performance.distanceWeight * distancePressure,
 					0,
@@ -2398,65 +5326,224 @@
 				perfQuality = 1;
 			}
 
-			// Kick overshoot on motion events
-			if (CFG.overshoot.enabled && motion.dist > 0) {
-				const kick = clamp(motion.dist * CFG.overshoot.kickPerPx, 0, CFG.overshoot.maxKick);
-				bounce.kick(kick);
-			}
-
-			const moving = cursor.step(dtSec, motion);
-
-			// Overshoot scale derived from oscillator state
-			bounce.step(dtSec);
-
-			let scaleExtra = 0;
-			if (CFG.overshoot.enabled) {
-				scaleExtra = clamp(bounce.x * CFG.overshoot.gain, CFG.overshoot.minScale, CFG.overshoot.maxScale);
-			}
 			const isIdleByTimer = (frameNowMs - lastRealMoveMs) >= CFG.idle.switchDelayMs;
 			const isIdle = isIdleByTimer;
-				const boxRect = liveCaretRect ?? cursor.getTargetRect();
-				trailTargetPoint.x = boxRect.left + boxRect.width / 2;
-				trailTargetPoint.y = boxRect.top + boxRect.height / 2;
 				const wallNowMs = Date.now();
 
-				// Even short moves can adapt when frame pressure is high.
-				if (moving && trailAllowedForCurrentMove) {
-					pushTrailPolygon(cursor.getCornerPolygon(CFG.rect.padPx), trailTargetPoint, wallNowMs, perfQuality);
+				updateInertiaFx(frameNowMs, dtSec);
+				// Existing particles move first, so fresh ones are drawn where they were emitted.
+				particleLimit = resolveParticleLimit();
+				particles.trim(particleLimit);
+				particles.step(dtSec, CFG.particles.gravityPxPerSec2, CFG.particles.dragPerSec);
+				let animating = inertiaFx.active;
+				for (let i = tracks.length - 1; i >= 0; i--) {
+					const track = tracks[i];
+					stepTrack(track, particles, dtSec, wallNowMs);
+					animating = track.isAnimating() || animating;
+					if (!track.liveRect && track.trail.length === 0) tracks.splice(i, 1);
+				}
+				emitRunStartParticles(active);
+				pruneJumpArcs(jumpArcs, wallNowMs);
+				animating = animating || particles.count > 0 || jumpArcs.length > 0;
+
+				if (!isDrawDue(frameNowMs, animating, motionDist > 0)) {
+					scheduleFrame();
+					return;
 				}
 
-				pruneTrail(wallNowMs);
-				resizeCanvas(canvas);
-				cachedCanvasRect = canvas.getBoundingClientRect();
+				refreshCanvasLayout(active, frameNowMs);
 
+				const caret = resolveCustomCaret(frameNowMs);
 				draw(
-					ctx,
-					canvas,
-					boxRect,
-					liveCaretFontSizePx,
-					scaleExtra,
+					active.ctx,
+					active.canvas,
+					tracks,
+					active.caretFontSizePx,
 					isIdle,
-					cachedCanvasRect.left,
-					cachedCanvasRect.top,
+					active.canvasRect.left,
+					active.canvasRect.top,
 					wallNowMs,
-					perfQuality
+					perfQuality,
+					inertiaFx,
+					particles,
+					jumpArcs,
+					CFG.caret.mode === "native" ? 0 : 1,
+					caret
 				);
+				park = CFG.idle.parkWhenSettled && isSettled(isIdle, animating || inactiveBusy);
+				armParkedWake(park && caret ? caret.wakeInMs : Infinity);
 			} catch {
 				// swallow DOM breakages on VS Code updates
 			}
 
-		requestAnimationFrame(rafLoop);
+		if (park) parkLoop();
+		else scheduleFrame();
 	};
 
-	setCanvasVisible(false);
-	requestAnimationFrame(rafLoop);
+	// Reset CFG to defaults, apply the snapshot, then resync state captured from CFG at construction.
+	const applyTrailSettings = (settings, persist = true) => {
+		copyCfgInto(CFG, CFG_DEFAULTS);
+		applyCfgPatch(CFG, CFG_DEFAULTS, settings);
+		// The host republishes settings on color theme changes; re-read theme color ids then.
+		renderStyleCache.themeSerial++;
+		for (const surface of surfaces.values()) {
+			for (const track of surface.tracks) {
+				track.bounce.omega = CFG.overshoot.omega;
+				track.bounce.zeta = CFG.overshoot.zeta;
+				track.sizeState.valid = false;
+				const { trail } = track;
+				if (trail.length > CFG.trail.maxRects) trail.splice(0, trail.length - CFG.trail.maxRects);
+			}
+			if (surface !== active) surface.needsDraw = true;
+		}
+		if (persist) storeSettings(settings);
+		// Re-attach the caret observers on the next read; the text observer follows caretClasses.enabled.
+		observedLayoutKey = null;
+		caretLayoutDirty = true;
+		setRendererEnabled(CFG.enabled);
+		wakeLoop();
+	};
 
-	window.__velCursorCleanup = () => {
-		window[flag] = false;
-		trail.length = 0;
-		lastPushed = null;
-		if (canvas && canvas.parentElement) canvas.parentElement.removeChild(canvas);
+	// Leaves the page as before injection: no canvas, no caret-layer style, host `position` restored.
+	const detachFromPage = () => {
+		cancelFrame();
+		armParkedWake(Infinity);
+		markCaretLayer(observedLayerEl, false);
+		caretObserver.disconnect();
+		textEditObserver.disconnect();
+		canvasResizeObserver.disconnect();
+		inactiveScrollObserver.disconnect();
+		inactiveScrollDirty = false;
+		observedLayoutKey = null;
+		observedLayerEl = null;
+		observedContentEl = null;
+		lastContentOffset = null;
+		for (const surface of surfaces.values()) surface.dispose();
+		surfaces.clear();
+		active = null;
+		caretScratch.length = 0;
+		pendingRunBurst = null;
+		hideRevealTarget();
+		if (revealTarget.parentElement) revealTarget.parentElement.removeChild(revealTarget);
+		restoreHostPositions(patchedHostPositions);
 		const style = document.getElementById("__vel_cursor_native_caret_layer__");
 		if (style && style.parentElement) style.parentElement.removeChild(style);
 	};
+
+	// Disabling keeps the bridge connected so the host can enable the trail again.
+	const setRendererEnabled = (enabled) => {
+		if (enabled === !rendererSuspended || disposed) return;
+		rendererSuspended = !enabled;
+		if (rendererSuspended) {
+			detachFromPage();
+			return;
+		}
+		ensureNativeCaretLayerStyle();
+		markLayoutDirty();
+	};
+
+	// Reload requests are counted per host session. The marker lives on window so the fresh
+	// instance does not act on the same request again.
+	const RELOAD_SEEN_KEY = "__vel_cursor_reload_seen__";
+
+	const reloadRenderer = () => {
+		cleanup();
+		if (!scriptSrc) {
+			velCursorTrail();
+			return;
+		}
+		const url = new URL(scriptSrc);
+		url.searchParams.set("velcursorReload", Date.now().toString(36));
+		const tag = document.createElement("script");
+		tag.src = url.href;
+		// CSP may refuse a fresh fetch; restart the code already loaded instead.
+		tag.onerror = () => {
+			tag.remove();
+			velCursorTrail();
+		};
+		document.head.appendChild(tag);
+	};
+
+	const onLifecycle = (data) => {
+		if (!isPlainObject(data) || !Number.isFinite(data.reloads) || data.reloads <= 0) return;
+		const key = `${bridgeSession}:${data.reloads}`;
+		if (window[RELOAD_SEEN_KEY] === key) return;
+		window[RELOAD_SEEN_KEY] = key;
+		// Leave the bridge dispatch loop before this instance goes away.
+		setTimeout(reloadRenderer, 0);
+	};
+
+	const bridgeHandlers = {
+		settings: (data) => applyTrailSettings(data),
+		lifecycle: onLifecycle,
+		inertia: (data) => {
+			applyInertiaTelemetry(data);
+			wakeLoop();
+		},
+		caret: (data) => {
+			applyCaretVisibility(data);
+			wakeLoop();
+		}
+	};
+	let bridgeBeaconEl = null;
+	let bridgeSession = null;
+	let bridgeRevs = Object.create(null);
+
+	const readBridgeBeacon = () => {
+		const msg = parseBridgeLabel(bridgeBeaconEl?.getAttribute("aria-label"));
+		if (!msg) return;
+		if (msg.session !== bridgeSession) {
+			bridgeSession = msg.session;
+			bridgeRevs = Object.create(null);
+		}
+		for (const [name, section] of Object.entries(msg.sections)) {
+			if (!isPlainObject(section) || bridgeRevs[name] === section.rev) continue;
+			bridgeRevs[name] = section.rev;
+			try {
+				bridgeHandlers[name]?.(section.data);
+			} catch {
+				// a malformed section must not block the others
+			}
+		}
+	};
+
+	const bridgeObserver = new MutationObserver(readBridgeBeacon);
+	const connectBridgeBeacon = () => {
+		if (bridgeBeaconEl && document.contains(bridgeBeaconEl)) return;
+		bridgeObserver.disconnect();
+		bridgeBeaconEl = document.querySelector(BRIDGE_BEACON_SELECTOR);
+		if (!bridgeBeaconEl) return;
+		bridgeObserver.observe(bridgeBeaconEl, { attributes: true, attributeFilter: ["aria-label"] });
+		readBridgeBeacon();
+	};
+
+	// Last applied snapshot covers startup until the extension host activates.
+	applyTrailSettings(readStoredSettings(), false);
+	connectBridgeBeacon();
+	const bridgePollTimer = setInterval(connectBridgeBeacon, Math.max(50, CFG.bridge.beaconPollIntervalMs));
+
+	window.addEventListener("resize", markLayoutDirty);
+	document.addEventListener("focusin", markCaretLayoutDirty, true);
+
+	// Manual hook for other loaders and devtools; not persisted.
+	const applySettingsHook = (settings) => applyTrailSettings(settings, false);
+	window.__velCursorApplySettings = applySettingsHook;
+
+	scheduleFrame();
+
+	// Full teardown; afterwards the script can be injected or re-run (velCursorTrail()) cleanly.
+	function cleanup() {
+		if (disposed) return;
+		detachFromPage();
+		disposed = true;
+		clearInterval(bridgePollTimer);
+		bridgeObserver.disconnect();
+		window.removeEventListener("resize", markLayoutDirty);
+		document.removeEventListener("focusin", markCaretLayoutDirty, true);
+		if (window.__velCursorApplySettings === applySettingsHook) delete window.__velCursorApplySettings;
+		if (window.__velCursorCleanup === cleanup) delete window.__velCursorCleanup;
+		window[flag] = false;
+	}
+
+	window.__velCursorCleanup = cleanup;
 })();
@@ -1,12 +1,36 @@
 // extension.js
 const vscode = require("vscode");
 const inertia = require('./cursorInertia');
+const bridge = require('./rendererBridge');
+const trailSettings = require('./trailSettings');
+const inertiaProfiles = require('./inertiaProfiles');
+const { commandSettingTarget } = require('./configUtil');
 
 const CONFIG_SECTION = "velcursor";
 const IMPULSE_LEVEL_KEY = "inertiaImpulseLevel";
 const TICK_SLOW_LEVEL_KEY = "inertiaTickSlowLevel";
+// Physics settings (velcursor.inertia.*); see cursorInertia.js.
+const INERTIA_SECTION_KEY = "inertia";
+const DECAY_CURVE_KEY = "inertia.decayCurve";
+// Quick same-direction presses the decay curve preview reports glide distances for.
+const GLIDE_PREVIEW_PRESSES = [1, 3, 6];
+const DECAY_CURVE_SUMMARIES = {
+	exponential: "Velocity shrinks by inertia.decay; long, soft tail",
+	friction: "Constant deceleration (inertia.friction); linear slowdown, firm stop",
+	drag: "Quadratic drag (inertia.drag); fast glides brake hard, slow ones drift",
+	spring: "Critically damped stop where the exponential glide would end; flick feel"
+};
 const LEVEL_MIN = 1;
 const LEVEL_MAX = 10;
+const TRAIL_ENABLED_KEY = "enabled";
+const REVEAL_CURSOR_COMMAND = "velcursor.revealCursor";
+const REVEAL_ITEM_ID = "velcursor.revealCursor";
+// Start of the reveal item's accessibility label; the renderer's off-screen indicator finds the
+// item by it and clicks it (cursorTrail.js REVEAL_ITEM_SELECTOR).
+const REVEAL_ITEM_LABEL = "VelCursor: reveal cursor";
+// Beside the editor's cursor position item.
+const REVEAL_ITEM_PRIORITY = 100;
+const OFFSCREEN_ENABLED_KEY = "offscreen.enabled";
 
 function levelItems(currentLevel) {
 	return Array.from({ length: LEVEL_MAX - LEVEL_MIN + 1 }, (_, idx) => {
@@ -33,10 +57,172 @@ async function updateLevelSetting(settingKey, level) {
 	await config.update(settingKey, level, vscode.ConfigurationTarget.Global);
 }
 
+/**
+ * Rest of a level command's message: the applied value, or what overrides the level.
+ * @param {"level" | "profile" | "setting"} source
+ * @param {string} profile
+ * @param {string} param
+ * @param {string} applied
+ */
+function levelSuffix(source, profile, param, applied) {
+	if (source === "setting") return `; velcursor.inertia.${param} overrides it.`;
+	if (source === "profile") return `; inertia profile "${profile}" overrides it.`;
+	return ` (${applied}).`;
+}
+
+/** Profile parameters on one line, for the profile quick pick. */
+function describeProfile(profile) {
+	const entries = Object.entries(profile);
+	if (entries.length === 0) return "Levels and settings only";
+	return entries.map(([key, value]) => `${key} ${value}`).join(", ");
+}
+
+/**
+ * Makes `name` the active profile (velcursor.inertia.profile), in the scope that sets it for the
+ * active editor (commandSettingTarget).
+ * @param {string} name
+ */
+async function switchInertiaProfile(name) {
+	const config = vscode.workspace.getConfiguration(CONFIG_SECTION, vscode.window.activeTextEditor?.document.uri);
+	if (!inertiaProfiles.listProfileNames(config).includes(name)) {
+		vscode.window.showWarningMessage(`Unknown inertia profile "${name}".`);
+		return;
+	}
+
+	await config.update(inertiaProfiles.PROFILE_KEY, name, commandSettingTarget(config, inertiaProfiles.PROFILE_KEY));
+	const applied = inertia.applyUserTuningFromConfig?.() ?? inertia.getCurrentTuning?.();
+	if (applied && applied.profile !== name) {
+		vscode.window.showInformationMessage(
+			`Inertia profile set to "${name}"; velcursor.inertia.profileByLanguage keeps "${applied.profile}" for this editor.`
+		);
+		return;
+	}
+	vscode.window.showInformationMessage(`Inertia profile set to "${name}".`);
+}
+
+async function pickInertiaProfile() {
+	const config = vscode.workspace.getConfiguration(CONFIG_SECTION);
+	const current = inertia.getCurrentTuning?.()?.profile;
+	const items = inertiaProfiles.listProfileNames(config).map((name) => ({
+		label: name,
+		description: name === current ? "Current" : "",
+		detail: describeProfile(inertiaProfiles.readProfile(config, name))
+	}));
+	const picked = await vscode.window.showQuickPick(items, {
+		title: "Switch Inertia Profile",
+		placeHolder: "Inertia parameters bundle; individual velcursor.inertia.* settings still apply on top"
+	});
+	if (!picked) return;
+
+	await switchInertiaProfile(picked.label);
+}
+
+/** Glide distances of the preview presses under `tuning`, e.g. "1 press: 5, 3 presses: 20". */
+function describeGlides(tuning) {
+	return GLIDE_PREVIEW_PRESSES.map((presses) => {
+		const distance = Math.round(inertia.glideDistance(tuning, presses));
+		return `${presses} ${presses === 1 ? "press" : "presses"}: ${distance}`;
+	}).join(", ");
+}
+
+/** Quick pick of the decay curves, each with a preview of its glide distances. */
+async function pickInertiaDecayCurve() {
+	const tuning = inertia.getCurrentTuning?.();
+	if (!tuning) return;
+
+	const items = inertia.DECAY_CURVES.map((curve) => ({
+		label: curve,
+		description: curve === tuning.decayCurve ? "Current" : "",
+		detail: `${DECAY_CURVE_SUMMARIES[curve]}. Glide: ${describeGlides({ ...tuning, decayCurve: curve })} cursor units`
+	}));
+	const picked = await vscode.window.showQuickPick(items, {
+		title: "Set Inertia Decay Curve",
+		placeHolder: "Glide distances assume quick same-direction presses with the current settings"
+	});
+	if (!picked) return;
+
+	const config = vscode.workspace.getConfiguration(CONFIG_SECTION);
+	await config.update(DECAY_CURVE_KEY, picked.label, commandSettingTarget(config, DECAY_CURVE_KEY));
+	const applied = inertia.applyUserTuningFromConfig?.() ?? inertia.getCurrentTuning?.();
+	if (!applied) return;
+
+	vscode.window.showInformationMessage(`Inertia decay curve set to ${applied.decayCurve} (${describeGlides(applied)} cursor units).`);
+}
+
+async function setTrailEnabled(enabled) {
+	const config = vscode.workspace.getConfiguration(trailSettings.CONFIG_SECTION);
+	if (config.get(TRAIL_ENABLED_KEY, true) === enabled) {
+		vscode.window.showInformationMessage(`Cursor trail is already ${enabled ? "enabled" : "disabled"}.`);
+		return;
+	}
+
+	// The change reaches the renderer through the settings snapshot.
+	await config.update(TRAIL_ENABLED_KEY, enabled, commandSettingTarget(config, TRAIL_ENABLED_KEY));
+	vscode.window.showInformationMessage(`Cursor trail ${enabled ? "enabled" : "disabled"}.`);
+}
+
+/**
+ * Where the primary caret of `editor` is relative to its visible lines. Carets inside a folded
+ * region count as visible (Monaco shows them on the fold line).
+ * @param {vscode.TextEditor | undefined} editor
+ * @returns {{ offscreen: "above" | "below" | null, line?: number }}
+ */
+function caretVisibilityState(editor) {
+	const ranges = editor?.visibleRanges ?? [];
+	if (ranges.length === 0) return { offscreen: null };
+	const line = editor.selection.active.line;
+	if (line < ranges[0].start.line) return { offscreen: "above", line: line + 1 };
+	if (line > ranges[ranges.length - 1].end.line) return { offscreen: "below", line: line + 1 };
+	return { offscreen: null };
+}
+
+/**
+ * Shows the reveal item while the primary caret is off-screen and the off-screen indicator is
+ * enabled (velcursor.trail.offscreen.enabled).
+ * @param {vscode.StatusBarItem} item
+ * @param {ReturnType<typeof caretVisibilityState>} state
+ */
+function updateRevealItem(item, state) {
+	const enabled = vscode.workspace.getConfiguration(trailSettings.CONFIG_SECTION).get(OFFSCREEN_ENABLED_KEY, true);
+	if (!state.offscreen || !enabled) {
+		item.hide();
+		return;
+	}
+	item.text = `$(arrow-${state.offscreen === "above" ? "up" : "down"}) Ln ${state.line}`;
+	item.tooltip = `Reveal cursor (line ${state.line})`;
+	item.accessibilityInformation = { label: `${REVEAL_ITEM_LABEL} (line ${state.line})` };
+	item.show();
+}
+
+function revealCursor() {
+	const editor = vscode.window.activeTextEditor;
+	if (!editor) return;
+	const active = editor.selection.active;
+	editor.revealRange(new vscode.Range(active, active), vscode.TextEditorRevealType.InCenterIfOutsideViewport);
+}
+
 function activate(context) {
 	const syncInertiaTuningFromConfig = () => inertia.applyUserTuningFromConfig?.();
+	const syncTrailSettingsFromConfig = () => bridge.publish("settings", trailSettings.readTrailSettings());
+	const publishInertiaState = (state) => bridge.publish("inertia", state);
+	const revealItem = vscode.window.createStatusBarItem(REVEAL_ITEM_ID, vscode.StatusBarAlignment.Right, REVEAL_ITEM_PRIORITY);
+	revealItem.name = "VelCursor Reveal Cursor";
+	revealItem.command = REVEAL_CURSOR_COMMAND;
+	// Visible ranges change on every scroll frame; only changes of the derived state are sent.
+	let caretVisibilityKey = "";
+	const publishCaretVisibility = () => {
+		const state = caretVisibilityState(vscode.window.activeTextEditor);
+		const key = JSON.stringify(state);
+		if (key === caretVisibilityKey) return;
+		caretVisibilityKey = key;
+		bridge.publish("caret", state);
+		updateRevealItem(revealItem, state);
+	};
+	// Reload requests are a counter so the renderer acts on each one exactly once.
+	let rendererReloads = 0;
 
 	context.subscriptions.push(
+		revealItem,
 		vscode.commands.registerCommand("velcursor.activateInertia", () => {
 			const changed = inertia.activate?.();
 			const message = changed ? "Inertia controls activated." : "Inertia controls are already active.";
@@ -65,7 +251,8 @@ function activate(context) {
 			if (!applied) return;
 
 			vscode.window.showInformationMessage(
-				`Inertia impulse level set to ${applied.impulseLevel}/10 (${applied.impulse.toFixed(2)} velocity units per impulse).`
+				`Inertia impulse level set to ${applied.impulseLevel}/10` +
+					levelSuffix(applied.impulseFrom, applied.profile, "impulse", `${applied.impulse.toFixed(2)} velocity units per impulse`)
 			);
 		}),
 		vscode.commands.registerCommand("velcursor.setInertiaTickSlowLevel", async () => {
@@ -82,26 +269,71 @@ function activate(context) {
 			if (!applied) return;
 
 			vscode.window.showInformationMessage(
-				`Inertia tick slowness level set to ${applied.tickSlowLevel}/10 (${applied.tickMs} ms per tick).`
+				`Inertia tick slowness level set to ${applied.tickSlowLevel}/10` +
+					levelSuffix(applied.tickMsFrom, applied.profile, "tickMs", `${applied.tickMs} ms per tick`)
 			);
 		}),
+		// Keybindings can pass a profile name as the argument.
+		vscode.commands.registerCommand("velcursor.switchInertiaProfile", (name) =>
+			typeof name === "string" ? switchInertiaProfile(name) : pickInertiaProfile()
+		),
+		...Object.keys(inertiaProfiles.BUILTIN_PROFILES).map((name) =>
+			vscode.commands.registerCommand(`velcursor.useInertiaProfile.${name}`, () => switchInertiaProfile(name))
+		),
+		vscode.commands.registerCommand("velcursor.setInertiaDecayCurve", pickInertiaDecayCurve),
+		vscode.commands.registerCommand("velcursor.enableTrail", () => setTrailEnabled(true)),
+		vscode.commands.registerCommand("velcursor.disableTrail", () => setTrailEnabled(false)),
+		vscode.commands.registerCommand(REVEAL_CURSOR_COMMAND, revealCursor),
+		vscode.commands.registerCommand("velcursor.reloadTrailRenderer", () => {
+			rendererReloads++;
+			bridge.publish("lifecycle", { reloads: rendererReloads });
+			vscode.window.showInformationMessage("Cursor trail renderer reload requested.");
+		}),
 		vscode.workspace.onDidChangeConfiguration((event) => {
 			if (
 				event.affectsConfiguration(`${CONFIG_SECTION}.${IMPULSE_LEVEL_KEY}`) ||
-				event.affectsConfiguration(`${CONFIG_SECTION}.${TICK_SLOW_LEVEL_KEY}`)
+				event.affectsConfiguration(`${CONFIG_SECTION}.${TICK_SLOW_LEVEL_KEY}`) ||
+				event.affectsConfiguration(`${CONFIG_SECTION}.${INERTIA_SECTION_KEY}`)
 			) {
 				syncInertiaTuningFromConfig();
 			}
+			if (event.affectsConfiguration(trailSettings.CONFIG_SECTION)) {
+				syncTrailSettingsFromConfig();
+			}
+			if (event.affectsConfiguration(`${trailSettings.CONFIG_SECTION}.${OFFSCREEN_ENABLED_KEY}`)) {
+				updateRevealItem(revealItem, caretVisibilityState(vscode.window.activeTextEditor));
+			}
+		}),
+		// Theme presets and theme color ids depend on the active color theme.
+		vscode.window.onDidChangeActiveColorTheme(() => syncTrailSettingsFromConfig()),
+		// Inertia telemetry lets the trail react to velocity, select mode and run/switch events.
+		inertia.onDidChangeState(publishInertiaState),
+		// The renderer loses carets scrolled out of view; this tells it which way they went.
+		vscode.window.onDidChangeActiveTextEditor(publishCaretVisibility),
+		// Inertia profiles can follow the language of the active editor.
+		vscode.window.onDidChangeActiveTextEditor(() => syncInertiaTuningFromConfig()),
+		vscode.window.onDidChangeTextEditorSelection((event) => {
+			if (event.textEditor === vscode.window.activeTextEditor) publishCaretVisibility();
+		}),
+		vscode.window.onDidChangeTextEditorVisibleRanges((event) => {
+			if (event.textEditor === vscode.window.activeTextEditor) publishCaretVisibility();
 		})
 	);
 
 	// Keep movement commands available by default on extension activation.
 	inertia.activate?.();
 	syncInertiaTuningFromConfig();
+
+	// The renderer picks up trail settings from the bridge beacon; no window reload needed.
+	bridge.activate();
+	syncTrailSettingsFromConfig();
+	publishInertiaState(inertia.getInertiaState());
+	publishCaretVisibility();
 }
 
 function deactivate() {
 	inertia.deactivate?.();
+	bridge.deactivate();
 }
 
 module.exports = { activate, deactivate };
@@ -0,0 +1,99 @@
+"use strict";
+
+const { isPlainObject } = require("./configUtil");
+
+/**
+ * Inertia profiles
+ *
+ * A profile is a named bundle of inertia parameters (the `velcursor.inertia.*` physics settings,
+ * see PHYSICS_PARAMS and LEVEL_PARAMS in cursorInertia.js) plus an optional `selectMode` default,
+ * e.g. `{ "impulse": 2.1, "tickMs": 16, "maxStepPerTick": 24 }`. Parameters a profile leaves out
+ * follow the levels and defaults; individual `velcursor.inertia.*` settings override the profile.
+ *
+ * Profile selection (first match wins):
+ * 1) `velcursor.inertia.profileByLanguage[<language id of the active editor>]`
+ * 2) `velcursor.inertia.profile`
+ *
+ * Both are ordinary settings read for the active editor's file, so a workspace picks its own
+ * profile in its workspace settings, and a folder of a multi-root workspace in its folder settings.
+ * Names resolve against `velcursor.inertia.customProfiles` first, then the built-ins.
+ */
+
+const DEFAULT_PROFILE = "default";
+const PROFILE_KEY = "inertia.profile";
+const PROFILE_BY_LANGUAGE_KEY = "inertia.profileByLanguage";
+const CUSTOM_PROFILES_KEY = "inertia.customProfiles";
+
+/** @type {Record<string, Record<string, unknown>>} */
+const BUILTIN_PROFILES = {
+	// Levels and settings only.
+	"default": {},
+	// Short, slow glides for careful edits.
+	"precise": {
+		impulse: 0.3,
+		tickMs: 48,
+		decay: 0.9,
+		maxStepPerTick: 2,
+		firstTickStep: 1,
+		switchDamping: 0
+	},
+	// Long, fast runs for moving through large files.
+	"skim": {
+		impulse: 2.1,
+		tickMs: 16,
+		decay: 0.98,
+		maxStepPerTick: 24,
+		firstTickStep: 4,
+		switchDamping: 0.3
+	}
+};
+
+/**
+ * @param {import("vscode").WorkspaceConfiguration} config `velcursor` section
+ * @param {string | undefined} languageId language of the active editor
+ * @returns {string}
+ */
+function resolveProfileName(config, languageId) {
+	const byLanguage = config.get(PROFILE_BY_LANGUAGE_KEY, {});
+	if (languageId && isPlainObject(byLanguage) && typeof byLanguage[languageId] === "string") {
+		return byLanguage[languageId];
+	}
+	const profile = config.get(PROFILE_KEY, DEFAULT_PROFILE);
+	return typeof profile === "string" && profile ? profile : DEFAULT_PROFILE;
+}
+
+/**
+ * Custom profile names first, then the built-ins a custom profile does not shadow.
+ * @param {import("vscode").WorkspaceConfiguration} config `velcursor` section
+ * @returns {string[]}
+ */
+function listProfileNames(config) {
+	const custom = config.get(CUSTOM_PROFILES_KEY, {});
+	const names = isPlainObject(custom) ? Object.keys(custom).filter((name) => isPlainObject(custom[name])) : [];
+	for (const name of Object.keys(BUILTIN_PROFILES)) {
+		if (!names.includes(name)) names.push(name);
+	}
+	return names;
+}
+
+/**
+ * Profile parameters by name. Unknown names yield an empty profile (levels and settings only).
+ * @param {import("vscode").WorkspaceConfiguration} config `velcursor` section
+ * @param {string} name
+ * @returns {Record<string, unknown>}
+ */
+function readProfile(config, name) {
+	const custom = config.get(CUSTOM_PROFILES_KEY, {});
+	const profile = (isPlainObject(custom) && isPlainObject(custom[name])) ? custom[name] : BUILTIN_PROFILES[name];
+	return isPlainObject(profile) ? structuredClone(profile) : {};
+}
+
+module.exports = {
+	DEFAULT_PROFILE,
+	PROFILE_KEY,
+	PROFILE_BY_LANGUAGE_KEY,
+	BUILTIN_PROFILES,
+	resolveProfileName,
+	listProfileNames,
+	readProfile
+};
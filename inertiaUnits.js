@@ -0,0 +1,234 @@
+"use strict";
+
+const vscode = require("vscode");
+
+/**
+ * Semantic inertia units
+ *
+ * Besides characters and wrapped lines (plain `cursorMove`), inertia can glide over larger
+ * units, each along one axis:
+ * - word (left/right): word ends to the right, word starts to the left, by the language's word
+ *   pattern (`TextDocument.getWordRangeAtPosition`), like `cursorWordRight`/`cursorWordLeft`
+ * - paragraph (up/down): first lines of blank-line-separated paragraphs
+ * - block (up/down): lines where the indentation changes
+ * - fold (up/down): start lines of folding regions (`vscode.executeFoldingRangeProvider`)
+ * - symbol (up/down): document symbols, nested ones included (`vscode.executeDocumentSymbolProvider`)
+ *
+ * Velocity-to-step mapping: inertia integrates glide distance in cursor units (characters and
+ * lines); one unit step costs `stepDistance` of it (`velcursor.inertia.unitStepDistance`), so
+ * the same flick covers fewer, larger units.
+ *
+ * Line-based units land on the first non-blank character of their line, symbols on their name.
+ * Every selection moves to its own next stop; a run ends when the primary one runs out of stops.
+ */
+
+/** @typedef {"up"|"down"|"left"|"right"} Direction */
+/** @typedef {{ line: number, character: number }} Stop */
+/**
+ * @typedef {{
+ *   directions: Direction[],
+ *   stepDistance: number,
+ *   stops?: (document: vscode.TextDocument) => Stop[] | Promise<Stop[]>
+ * }} UnitSpec
+ */
+
+/** @param {vscode.TextLine} textLine */
+const lineStop = (textLine) => ({ line: textLine.lineNumber, character: textLine.firstNonWhitespaceCharacterIndex });
+
+/** @param {vscode.TextDocument} document */
+function paragraphStops(document) {
+	const stops = [];
+	let previousBlank = true;
+	for (let line = 0; line < document.lineCount; line++) {
+		const textLine = document.lineAt(line);
+		if (!textLine.isEmptyOrWhitespace && previousBlank) stops.push(lineStop(textLine));
+		previousBlank = textLine.isEmptyOrWhitespace;
+	}
+	return stops;
+}
+
+/** @param {vscode.TextDocument} document */
+function blockStops(document) {
+	const stops = [];
+	let previousIndent = -1;
+	for (let line = 0; line < document.lineCount; line++) {
+		const textLine = document.lineAt(line);
+		// Blank lines do not break a block.
+		if (textLine.isEmptyOrWhitespace) continue;
+		if (textLine.firstNonWhitespaceCharacterIndex !== previousIndent) stops.push(lineStop(textLine));
+		previousIndent = textLine.firstNonWhitespaceCharacterIndex;
+	}
+	return stops;
+}
+
+/** @param {vscode.TextDocument} document */
+async function foldStops(document) {
+	/** @type {vscode.FoldingRange[] | undefined} */
+	const ranges = await vscode.commands.executeCommand("vscode.executeFoldingRangeProvider", document.uri);
+	return (ranges ?? []).map((range) => lineStop(document.lineAt(range.start)));
+}
+
+/** @param {vscode.TextDocument} document */
+async function symbolStops(document) {
+	/** @type {(vscode.DocumentSymbol | vscode.SymbolInformation)[] | undefined} */
+	const symbols = await vscode.commands.executeCommand("vscode.executeDocumentSymbolProvider", document.uri);
+	const stops = [];
+	const visit = (symbol) => {
+		// Providers return either hierarchical DocumentSymbols or flat SymbolInformation.
+		const start = symbol.selectionRange?.start ?? symbol.location?.range.start;
+		if (start) stops.push({ line: start.line, character: start.character });
+		for (const child of symbol.children ?? []) visit(child);
+	};
+	(symbols ?? []).forEach(visit);
+	return stops;
+}
+
+/**
+ * The word boundary after `from`: the end of the next word to the right, the start of the
+ * previous one to the left; crosses lines, null at the document edge.
+ * @param {vscode.TextDocument} document
+ * @param {Stop} from
+ * @param {Direction} dir "left" or "right"
+ * @returns {Stop | null}
+ */
+function wordStop(document, from, dir) {
+	let { line, character } = from;
+	for (;;) {
+		if (dir === "right") {
+			const length = document.lineAt(line).text.length;
+			for (let idx = character; idx < length; idx++) {
+				const range = document.getWordRangeAtPosition(new vscode.Position(line, idx));
+				if (range && range.end.character > character) return { line, character: range.end.character };
+			}
+			if (line === document.lineCount - 1) return null;
+			line++;
+			character = 0;
+		} else {
+			for (let idx = character - 1; idx >= 0; idx--) {
+				const range = document.getWordRangeAtPosition(new vscode.Position(line, idx));
+				if (range && range.start.character < character) return { line, character: range.start.character };
+			}
+			if (line === 0) return null;
+			line--;
+			character = document.lineAt(line).text.length;
+		}
+	}
+}
+
+/**
+ * The word boundary `steps` words away from `from`, like stopAfter; `exhausted` once the
+ * document edge cut the steps short.
+ * @param {vscode.TextDocument} document
+ * @param {Stop} from
+ * @param {Direction} dir "left" or "right"
+ * @param {number} steps
+ * @returns {{ stop: Stop, exhausted: boolean } | null}
+ */
+function wordStopAfter(document, from, dir, steps) {
+	let stop = null;
+	for (let taken = 0; taken < steps; taken++) {
+		const next = wordStop(document, stop ?? from, dir);
+		if (!next) return stop ? { stop, exhausted: true } : null;
+		stop = next;
+	}
+	return stop ? { stop, exhausted: false } : null;
+}
+
+/** @type {Record<string, UnitSpec>} */
+const UNITS = {
+	"word": { directions: ["left", "right"], stepDistance: 4 },
+	"paragraph": { directions: ["up", "down"], stepDistance: 8, stops: paragraphStops },
+	"block": { directions: ["up", "down"], stepDistance: 6, stops: blockStops },
+	"fold": { directions: ["up", "down"], stepDistance: 8, stops: foldStops },
+	"symbol": { directions: ["up", "down"], stepDistance: 8, stops: symbolStops }
+};
+
+// Stops by unit and document, least recently used first.
+const STOP_CACHE_SIZE = 16;
+/** @type {Map<string, { version: number, stops: Stop[] }>} */
+const stopCache = new Map();
+
+const compareStops = (a, b) => a.line - b.line || a.character - b.character;
+
+/**
+ * Sorted, de-duplicated stops of `unit`, cached per document version for the last
+ * STOP_CACHE_SIZE documents and units, so switching editors does not re-run the providers. Empty
+ * results are not cached: language providers often answer empty until their server has started.
+ * @param {string} unit
+ * @param {vscode.TextDocument} document
+ * @returns {Promise<Stop[]>}
+ */
+async function stopsFor(unit, document) {
+	const key = `${unit} ${document.uri.toString()}`;
+	const cached = stopCache.get(key);
+	stopCache.delete(key);
+	if (cached && cached.version === document.version) {
+		stopCache.set(key, cached);
+		return cached.stops;
+	}
+
+	const version = document.version;
+	const stops = (await UNITS[unit].stops(document))
+		.sort(compareStops)
+		.filter((stop, idx, sorted) => idx === 0 || compareStops(stop, sorted[idx - 1]) !== 0);
+	if (stops.length > 0) {
+		stopCache.set(key, { version, stops });
+		if (stopCache.size > STOP_CACHE_SIZE) stopCache.delete(stopCache.keys().next().value);
+	}
+	return stops;
+}
+
+/**
+ * The stop `steps` stops away from `from`, or the last one in that direction when there are
+ * fewer (`exhausted`); null when there is none.
+ * @param {Stop[]} stops sorted
+ * @param {vscode.Position} from
+ * @param {Direction} dir "up" or "down"
+ * @param {number} steps
+ * @returns {{ stop: Stop, exhausted: boolean } | null}
+ */
+function stopAfter(stops, from, dir, steps) {
+	const ahead = dir === "down"
+		? stops.filter((stop) => compareStops(stop, from) > 0)
+		: stops.filter((stop) => compareStops(stop, from) < 0).reverse();
+	if (ahead.length === 0) return null;
+	return { stop: ahead[Math.min(steps, ahead.length) - 1], exhausted: steps >= ahead.length };
+}
+
+/**
+ * Moves every selection of `editor` by `steps` units.
+ * @param {vscode.TextEditor} editor
+ * @param {string} unit key of UNITS
+ * @param {Direction} dir one of the unit's directions
+ * @param {number} steps
+ * @param {boolean} select extend the selections instead of moving them
+ * @returns {Promise<boolean>} false once the primary selection has no further stop
+ */
+async function moveByUnit(editor, unit, dir, steps, select) {
+	const { document } = editor;
+	// Words are found from each selection; the other units have precomputed stops.
+	const stops = UNITS[unit].stops ? await stopsFor(unit, document) : null;
+	let more = true;
+	editor.selections = editor.selections.map((selection, idx) => {
+		const next = stops
+			? stopAfter(stops, selection.active, dir, steps)
+			: wordStopAfter(document, selection.active, dir, steps);
+		if (idx === 0) more = Boolean(next) && !next.exhausted;
+		if (!next) return selection;
+		const active = new vscode.Position(next.stop.line, next.stop.character);
+		return new vscode.Selection(select ? selection.anchor : active, active);
+	});
+	const primary = editor.selection.active;
+	editor.revealRange(new vscode.Range(primary, primary));
+	return more;
+}
+
+module.exports = {
+	UNITS,
+	moveByUnit,
+	// Exported for the tests.
+	paragraphStops,
+	blockStops,
+	stopAfter,
+	wordStopAfter
+};
@@ -0,0 +1,86 @@
+"use strict";
+
+const vscode = require("vscode");
+
+/**
+ * Host-to-renderer bridge
+ *
+ * The trail renderer (cursorTrail.js) runs inside the workbench DOM and cannot reach the
+ * extension host API. The host therefore publishes state through a status bar "beacon":
+ * - the beacon item's accessibility label carries `velcursor:` + JSON snapshot
+ * - the renderer locates the beacon element and observes its `aria-label` attribute
+ *
+ * Snapshot shape:
+ *   { session, sections: { [name]: { rev, data } } }
+ *
+ * Sections are full snapshots, never deltas. VS Code coalesces rapid status bar updates,
+ * so the renderer may skip intermediate labels; it only reacts to `rev` changes per section.
+ * `session` changes on every host activation so the renderer can reset its revision memory.
+ *
+ * The beacon has no text: VS Code then hides the item's label element but keeps it in the DOM
+ * with its aria-label, so users see no status bar entry. That hidden element is the only
+ * transport. Where a VS Code version keeps text-less items reachable, screen readers would read
+ * the JSON label, which changes with every publish (inertia telemetry included).
+ *
+ * The bridge is one-way: the beacon has no command. The renderer's off-screen indicator reaches
+ * the host through its own status bar item (see updateRevealItem in extension.js).
+ */
+
+const BEACON_ID = "velcursor.rendererBridge";
+const BEACON_PREFIX = "velcursor:";
+// Far right of the status bar, after user-facing items.
+const BEACON_PRIORITY = -10000;
+
+/** @type {vscode.StatusBarItem|null} */
+let beaconItem = null;
+let session = "";
+/** @type {Record<string, {rev: number, data: unknown}>} */
+let sections = {};
+
+function flush() {
+	if (!beaconItem) return;
+	const label = BEACON_PREFIX + JSON.stringify({ session, sections });
+	beaconItem.accessibilityInformation = { label };
+}
+
+/**
+ * Replace the snapshot for one section and push it to the renderer.
+ * Publishing while inactive only records the snapshot; it is sent on the next activation.
+ * @param {string} name
+ * @param {unknown} data
+ */
+function publish(name, data) {
+	const rev = (sections[name]?.rev ?? 0) + 1;
+	sections[name] = { rev, data };
+	flush();
+}
+
+function activate() {
+	if (beaconItem) return false;
+
+	session = Date.now().toString(36);
+	beaconItem = vscode.window.createStatusBarItem(BEACON_ID, vscode.StatusBarAlignment.Right, BEACON_PRIORITY);
+	beaconItem.name = "VelCursor Renderer Bridge";
+	beaconItem.text = "";
+	flush();
+	beaconItem.show();
+	return true;
+}
+
+function deactivate() {
+	if (beaconItem) {
+		beaconItem.dispose();
+		beaconItem = null;
+	}
+}
+
+function isActive() {
+	return Boolean(beaconItem);
+}
+
+module.exports = {
+	activate,
+	deactivate,
+	isActive,
+	publish
+};
@@ -0,0 +1,30 @@
+const assert = require('assert');
+const vscode = require('vscode');
+const { explicitValue, commandSettingTarget } = require('../configUtil');
+const { fakeConfig } = require('./fakeConfig');
+
+suite('Config helpers', () => {
+	test('explicitValue prefers folder, then workspace, then user values', () => {
+		const config = fakeConfig({}, {
+			a: { key: 'a', defaultValue: 1, globalValue: 2, workspaceValue: 3, workspaceFolderValue: 4 },
+			b: { key: 'b', defaultValue: 1, globalValue: 2, workspaceValue: 3 },
+			c: { key: 'c', defaultValue: 1, globalValue: 2 },
+			d: { key: 'd', defaultValue: 1 },
+			e: { key: 'e', defaultValue: 1, globalValue: 2, workspaceValue: null }
+		});
+		assert.deepStrictEqual(['a', 'b', 'c', 'd', 'e'].map((key) => explicitValue(config, key)), [4, 3, 2, undefined, null]);
+	});
+
+	test('commandSettingTarget writes where the value applies', () => {
+		const config = fakeConfig({}, {
+			folder: { key: 'folder', globalValue: 'x', workspaceValue: 'y', workspaceFolderValue: 'z' },
+			workspace: { key: 'workspace', globalValue: 'x', workspaceValue: 'y' },
+			user: { key: 'user', globalValue: 'x' }
+		});
+		const { WorkspaceFolder, Workspace, Global } = vscode.ConfigurationTarget;
+		assert.strictEqual(commandSettingTarget(config, 'folder'), WorkspaceFolder);
+		assert.strictEqual(commandSettingTarget(config, 'workspace'), Workspace);
+		assert.strictEqual(commandSettingTarget(config, 'user'), Global);
+		assert.strictEqual(commandSettingTarget(config, 'unset'), Global);
+	});
+});
@@ -0,0 +1,239 @@
+const assert = require('assert');
+const vscode = require('vscode');
+const {
+	InertiaCursorController,
+	makeTuning,
+	freeGlide,
+	springGlide,
+	springVelocityFor,
+	glideDistance,
+	DECAY_CURVES
+} = require('../cursorInertia');
+
+// Time base of velocity and decay in cursorInertia.js (REFERENCE_TICK_MS).
+const REFERENCE_TICK_MS = 32;
+
+/**
+ * Glide distance (without the first step) from velocity v0, integrated in ticks of the given
+ * lengths the way the controller integrates between cursor moves.
+ * @param {ReturnType<typeof makeTuning>} tuning
+ * @param {number} v0
+ * @param {(tick: number) => number} tickMsAt length of the n-th tick
+ */
+function integratedGlide(tuning, v0, tickMsAt) {
+	let distance = 0;
+	let velocity = v0;
+	let remaining = 0;
+	let rate = 0;
+	if (tuning.decayCurve === 'spring') {
+		remaining = freeGlide(tuning, 'exponential', v0, Infinity).distance;
+		velocity = Math.min(v0, tuning.maxStepPerTick);
+		rate = 2 * velocity / remaining;
+	}
+	for (let tick = 0; tick < 100000; tick++) {
+		const tau = tickMsAt(tick) / REFERENCE_TICK_MS;
+		const glide = tuning.decayCurve === 'spring'
+			? springGlide(remaining, velocity, rate, tau)
+			: freeGlide(tuning, tuning.decayCurve, velocity, tau);
+		distance += glide.distance;
+		velocity = glide.velocity;
+		remaining = glide.remaining;
+		if (glide.ended) return distance;
+	}
+	throw new Error('glide did not end');
+}
+
+/** Deterministic pseudo-random tick lengths between 4 and 60 ms, standing in for timer jitter. */
+const jitteredTicks = (tick) => 4 + ((tick * 7919) % 57);
+
+suite('Inertia integrator', () => {
+	for (const decayCurve of DECAY_CURVES) {
+		for (const presses of [1, 6, 12]) {
+			test(`${decayCurve}: glide distance of ${presses} presses does not depend on tickMs`, () => {
+				const tuning = makeTuning({ decayCurve });
+				const v0 = Math.min(tuning.maxVelocity, tuning.initialVelocity + (presses - 1) * tuning.impulse);
+				const expected = glideDistance(tuning, presses) - tuning.firstTickStep;
+				assert.ok(expected > 0);
+				for (const tickMs of [8, 16, 32, 68, 150]) {
+					assert.ok(
+						Math.abs(integratedGlide(tuning, v0, () => tickMs) - expected) < 1e-6,
+						`tickMs ${tickMs}`
+					);
+				}
+				assert.ok(Math.abs(integratedGlide(tuning, v0, jitteredTicks) - expected) < 1e-6, 'jittered ticks');
+			});
+		}
+	}
+
+	test('preview distance ignores tickMs', () => {
+		for (const decayCurve of DECAY_CURVES) {
+			const distances = [8, 32, 150].map((tickMs) => glideDistance(makeTuning({ decayCurve, tickMs }), 6));
+			assert.deepStrictEqual(distances, [distances[0], distances[0], distances[0]], decayCurve);
+		}
+	});
+
+	test('springVelocityFor inverts the exponential glide', () => {
+		const tuning = makeTuning({ decayCurve: 'spring' });
+		for (const distance of [1, 20, 150, 900]) {
+			const velocity = springVelocityFor(tuning, distance);
+			assert.ok(Math.abs(freeGlide(tuning, 'exponential', velocity, Infinity).distance - distance) < 1e-6);
+		}
+	});
+});
+
+suite('Glide distance preview', () => {
+	// Closed-form glide from v0 down to the cutoff, moving at most maxStepPerTick per reference tick.
+	const closedForm = {
+		exponential: (t, v0) => {
+			const rate = -Math.log(t.decay);
+			const capped = v0 > t.maxStepPerTick ? t.maxStepPerTick * Math.log(v0 / t.maxStepPerTick) / rate : 0;
+			return capped + (Math.min(v0, t.maxStepPerTick) - t.cutoff) / rate;
+		},
+		friction: (t, v0) => {
+			const capped = v0 > t.maxStepPerTick ? t.maxStepPerTick * (v0 - t.maxStepPerTick) / t.friction : 0;
+			const v = Math.min(v0, t.maxStepPerTick);
+			return capped + (v * v - t.cutoff * t.cutoff) / (2 * t.friction);
+		},
+		drag: (t, v0) => {
+			const capped = v0 > t.maxStepPerTick ? t.maxStepPerTick * (1 / t.maxStepPerTick - 1 / v0) / t.drag : 0;
+			return capped + Math.log(Math.min(v0, t.maxStepPerTick) / t.cutoff) / t.drag;
+		}
+	};
+	// The spring lands where the exponential glide would stop.
+	closedForm.spring = closedForm.exponential;
+
+	for (const decayCurve of DECAY_CURVES) {
+		test(`${decayCurve}: first step plus the closed-form glide`, () => {
+			for (const settings of [{}, { initialVelocity: 20 }, { decay: 0.9, friction: 0.5, drag: 0.1, cutoff: 0.5 }]) {
+				const tuning = makeTuning({ ...settings, decayCurve });
+				for (const presses of [1, 3, 6]) {
+					const v0 = Math.min(tuning.maxVelocity, tuning.initialVelocity + (presses - 1) * tuning.impulse);
+					const expected = tuning.firstTickStep + closedForm[decayCurve](tuning, v0);
+					assert.ok(
+						Math.abs(glideDistance(tuning, presses) - expected) < 1e-6,
+						`${JSON.stringify(settings)}, ${presses} presses: ${glideDistance(tuning, presses)} vs ${expected}`
+					);
+				}
+			}
+		});
+	}
+
+	test('a run that starts at or below the cutoff does not move', () => {
+		for (const decayCurve of DECAY_CURVES) {
+			assert.strictEqual(glideDistance(makeTuning({ decayCurve, initialVelocity: 0.5 }), 1), 0, decayCurve);
+		}
+	});
+});
+
+suite('Inertia tuning', () => {
+	test('defaults follow the default levels', () => {
+		const tuning = makeTuning();
+		assert.strictEqual(tuning.impulse, 0.9);
+		assert.strictEqual(tuning.tickMs, 32);
+		assert.strictEqual(tuning.impulseFrom, 'level');
+		assert.strictEqual(tuning.tickMsFrom, 'level');
+		assert.strictEqual(tuning.decay, 0.96);
+		assert.strictEqual(tuning.firstTickStep, 2);
+		assert.strictEqual(tuning.switchDamping, 0.1);
+		assert.strictEqual(tuning.decayCurve, 'exponential');
+	});
+
+	test('levels are rounded and clamped to 1..10', () => {
+		assert.strictEqual(makeTuning({ impulseLevel: 42 }).impulse, 2.1);
+		assert.strictEqual(makeTuning({ tickSlowLevel: 0.4 }).tickMs, 14);
+		assert.strictEqual(makeTuning({ impulseLevel: 'fast' }).impulseLevel, 4);
+	});
+
+	test('physics settings are clamped to their ranges', () => {
+		const tuning = makeTuning({ decay: 5, cutoff: -1, maxStepPerTick: 3.6, firstTickStep: 0, switchDamping: 2 });
+		assert.strictEqual(tuning.decay, 0.999);
+		assert.strictEqual(tuning.cutoff, 0.01);
+		assert.strictEqual(tuning.maxStepPerTick, 4);
+		assert.strictEqual(tuning.firstTickStep, 1);
+		assert.strictEqual(tuning.switchDamping, 1);
+	});
+
+	test('invalid physics settings fall back to the defaults', () => {
+		const tuning = makeTuning({ maxVelocity: '9', drag: NaN, friction: null, decayCurve: 'bouncy' });
+		assert.strictEqual(tuning.maxVelocity, 512);
+		assert.strictEqual(tuning.drag, 0.02);
+		assert.strictEqual(tuning.friction, 0.12);
+		assert.strictEqual(tuning.decayCurve, 'exponential');
+	});
+
+	test('impulse and tickMs settings override their levels', () => {
+		const tuning = makeTuning({ impulseLevel: 1, tickSlowLevel: 10, impulse: 3, tickMs: 2 });
+		assert.strictEqual(tuning.impulse, 3);
+		assert.strictEqual(tuning.impulseFrom, 'setting');
+		assert.strictEqual(tuning.tickMs, 4);
+		assert.strictEqual(tuning.tickMsFrom, 'setting');
+		assert.strictEqual(tuning.impulseLevel, 1);
+	});
+});
+
+suite('Inertia profile layering', () => {
+	test('settings win over the profile, the profile over levels and defaults', () => {
+		const profile = { impulse: 1.5, tickMs: 16, decay: 0.9, maxStepPerTick: 24 };
+		const tuning = makeTuning({ tickMs: 40, decay: 0.95 }, profile, 'team');
+		assert.strictEqual(tuning.profile, 'team');
+		assert.strictEqual(tuning.impulse, 1.5);
+		assert.strictEqual(tuning.impulseFrom, 'profile');
+		assert.strictEqual(tuning.tickMs, 40);
+		assert.strictEqual(tuning.tickMsFrom, 'setting');
+		assert.strictEqual(tuning.decay, 0.95);
+		assert.strictEqual(tuning.maxStepPerTick, 24);
+		assert.strictEqual(tuning.cutoff, 0.99);
+	});
+
+	test('profile values are validated like settings', () => {
+		const tuning = makeTuning({}, { impulse: 'strong', decay: 2, firstTickStep: 2.6, decayCurve: 'drag', selectMode: 'yes' });
+		assert.strictEqual(tuning.impulse, 0.9);
+		assert.strictEqual(tuning.impulseFrom, 'level');
+		assert.strictEqual(tuning.decay, 0.999);
+		assert.strictEqual(tuning.firstTickStep, 3);
+		assert.strictEqual(tuning.decayCurve, 'drag');
+		assert.strictEqual(tuning.selectMode, null);
+		assert.strictEqual(makeTuning({}, { selectMode: true }).selectMode, true);
+	});
+
+	test('unit step distances layer per unit', () => {
+		const tuning = makeTuning({ unitStepDistance: { word: 2 } }, { unitStepDistance: { word: 6, paragraph: 12, block: -1 } });
+		assert.strictEqual(tuning.unitStepDistance.word, 2);
+		assert.strictEqual(tuning.unitStepDistance.paragraph, 12);
+		assert.strictEqual(tuning.unitStepDistance.block, 0.25);
+		assert.strictEqual(tuning.unitStepDistance.symbol, 8);
+	});
+});
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+suite('Inertia controller', () => {
+	test('a selection change between moves stops the glide', async () => {
+		const document = await vscode.workspace.openTextDocument({ content: 'line\n'.repeat(500) });
+		const editor = await vscode.window.showTextDocument(document);
+		const controller = new InertiaCursorController();
+		// Long, slow ticks: the change lands well between two moves.
+		controller.applyTuning(makeTuning({ tickMs: 150, decay: 0.99 }));
+		const wiring = controller.wire();
+		try {
+			const firstMove = new Promise((resolve) => {
+				const listener = vscode.window.onDidChangeTextEditorSelection(() => {
+					listener.dispose();
+					resolve();
+				});
+			});
+			controller.impulse('down');
+			await firstMove;
+			await delay(30);
+			assert.strictEqual(controller.getState().running, true, 'own moves keep the glide running');
+
+			editor.selection = new vscode.Selection(0, 0, 0, 0);
+			await delay(30);
+			assert.strictEqual(controller.getState().running, false);
+		} finally {
+			controller.stop();
+			wiring.dispose();
+			await vscode.commands.executeCommand('workbench.action.revertAndCloseActiveEditor');
+		}
+	});
+});
@@ -0,0 +1,14 @@
+/**
+ * Stand-in for a vscode.WorkspaceConfiguration section. `values` are user (global) settings;
+ * `scopes` replaces the inspect() result of single keys, e.g. to set workspace values.
+ * @param {Record<string, unknown>} [values]
+ * @param {Record<string, object>} [scopes]
+ */
+function fakeConfig(values = {}, scopes = {}) {
+	return {
+		get: (key, fallback) => (key in values ? values[key] : fallback),
+		inspect: (key) => scopes[key] ?? { key, globalValue: values[key] }
+	};
+}
+
+module.exports = { fakeConfig };
@@ -0,0 +1,40 @@
+const assert = require('assert');
+const { BUILTIN_PROFILES, resolveProfileName, listProfileNames, readProfile } = require('../inertiaProfiles');
+const { fakeConfig } = require('./fakeConfig');
+
+suite('Inertia profiles', () => {
+	test('profileByLanguage wins over profile', () => {
+		const config = fakeConfig({ 'inertia.profile': 'skim', 'inertia.profileByLanguage': { markdown: 'precise' } });
+		assert.strictEqual(resolveProfileName(config, 'markdown'), 'precise');
+		assert.strictEqual(resolveProfileName(config, 'javascript'), 'skim');
+		assert.strictEqual(resolveProfileName(config, undefined), 'skim');
+	});
+
+	test('malformed selection settings fall back to default', () => {
+		assert.strictEqual(resolveProfileName(fakeConfig(), 'markdown'), 'default');
+		const config = fakeConfig({ 'inertia.profile': '', 'inertia.profileByLanguage': { markdown: 3 } });
+		assert.strictEqual(resolveProfileName(config, 'markdown'), 'default');
+		assert.strictEqual(resolveProfileName(fakeConfig({ 'inertia.profileByLanguage': ['skim'] }), '0'), 'default');
+	});
+
+	test('custom profiles come first and shadow built-ins', () => {
+		const config = fakeConfig({ 'inertia.customProfiles': { review: { impulse: 1.5 }, skim: { impulse: 3 } } });
+		assert.deepStrictEqual(listProfileNames(config), ['review', 'skim', 'default', 'precise']);
+		assert.deepStrictEqual(readProfile(config, 'skim'), { impulse: 3 });
+		assert.deepStrictEqual(readProfile(config, 'precise'), BUILTIN_PROFILES.precise);
+	});
+
+	test('invalid custom profiles are skipped', () => {
+		const config = fakeConfig({ 'inertia.customProfiles': { broken: 'fast', list: [1], skim: null } });
+		assert.deepStrictEqual(listProfileNames(config), ['default', 'precise', 'skim']);
+		assert.deepStrictEqual(readProfile(config, 'broken'), {});
+		assert.deepStrictEqual(readProfile(config, 'skim'), BUILTIN_PROFILES.skim);
+		assert.deepStrictEqual(listProfileNames(fakeConfig({ 'inertia.customProfiles': 'skim' })), ['default', 'precise', 'skim']);
+	});
+
+	test('unknown names read as an empty profile, and profiles are copies', () => {
+		assert.deepStrictEqual(readProfile(fakeConfig(), 'nope'), {});
+		readProfile(fakeConfig(), 'skim').impulse = 99;
+		assert.strictEqual(BUILTIN_PROFILES.skim.impulse, 2.1);
+	});
+});
@@ -0,0 +1,68 @@
+const assert = require('assert');
+const { paragraphStops, blockStops, stopAfter, wordStopAfter } = require('../inertiaUnits');
+
+// A plain-text document with `\w+` words, enough for the stop helpers.
+function fakeDocument(text) {
+	const lines = text.split('\n');
+	return {
+		lineCount: lines.length,
+		lineAt: (line) => ({
+			lineNumber: line,
+			text: lines[line],
+			isEmptyOrWhitespace: lines[line].trim() === '',
+			firstNonWhitespaceCharacterIndex: lines[line].search(/\S|$/)
+		}),
+		getWordRangeAtPosition: ({ line, character }) => {
+			for (const match of lines[line].matchAll(/\w+/g)) {
+				const end = match.index + match[0].length;
+				if (match.index <= character && character <= end) {
+					return { start: { line, character: match.index }, end: { line, character: end } };
+				}
+			}
+			return undefined;
+		}
+	};
+}
+
+const at = (line, character) => ({ line, character });
+
+suite('Inertia units', () => {
+	test('paragraph stops are the first lines after blank lines', () => {
+		const document = fakeDocument('one\ntwo\n\n  three\n   \n\nfour');
+		assert.deepStrictEqual(paragraphStops(document), [at(0, 0), at(3, 2), at(6, 0)]);
+	});
+
+	test('block stops are indentation changes, blank lines ignored', () => {
+		const document = fakeDocument('a\n\tb\n\tc\n\n\td\ne');
+		assert.deepStrictEqual(blockStops(document), [at(0, 0), at(1, 1), at(5, 0)]);
+	});
+
+	test('stopAfter reports running out of stops', () => {
+		const stops = [at(0, 0), at(3, 2), at(6, 0)];
+		assert.deepStrictEqual(stopAfter(stops, at(0, 0), 'down', 1), { stop: at(3, 2), exhausted: false });
+		assert.deepStrictEqual(stopAfter(stops, at(0, 0), 'down', 2), { stop: at(6, 0), exhausted: true });
+		assert.deepStrictEqual(stopAfter(stops, at(1, 0), 'down', 5), { stop: at(6, 0), exhausted: true });
+		assert.deepStrictEqual(stopAfter(stops, at(6, 0), 'up', 1), { stop: at(3, 2), exhausted: false });
+		assert.strictEqual(stopAfter(stops, at(6, 0), 'down', 1), null);
+		assert.strictEqual(stopAfter(stops, at(0, 0), 'up', 1), null);
+		assert.strictEqual(stopAfter([], at(0, 0), 'down', 1), null);
+	});
+
+	test('word stops land on word ends to the right and word starts to the left', () => {
+		const document = fakeDocument('foo bar.baz');
+		assert.deepStrictEqual(wordStopAfter(document, at(0, 0), 'right', 1), { stop: at(0, 3), exhausted: false });
+		assert.deepStrictEqual(wordStopAfter(document, at(0, 1), 'right', 2), { stop: at(0, 7), exhausted: false });
+		assert.deepStrictEqual(wordStopAfter(document, at(0, 11), 'left', 1), { stop: at(0, 8), exhausted: false });
+		assert.deepStrictEqual(wordStopAfter(document, at(0, 4), 'left', 1), { stop: at(0, 0), exhausted: false });
+	});
+
+	test('word stops cross lines and stop at the document edges', () => {
+		const document = fakeDocument('  foo\n\n bar  ');
+		assert.deepStrictEqual(wordStopAfter(document, at(0, 5), 'right', 1), { stop: at(2, 4), exhausted: false });
+		assert.deepStrictEqual(wordStopAfter(document, at(2, 1), 'left', 1), { stop: at(0, 2), exhausted: false });
+		assert.deepStrictEqual(wordStopAfter(document, at(0, 0), 'right', 3), { stop: at(2, 4), exhausted: true });
+		assert.deepStrictEqual(wordStopAfter(document, at(2, 6), 'left', 3), { stop: at(0, 2), exhausted: true });
+		assert.strictEqual(wordStopAfter(document, at(2, 4), 'right', 1), null);
+		assert.strictEqual(wordStopAfter(document, at(0, 2), 'left', 1), null);
+	});
+});
@@ -0,0 +1,52 @@
+const assert = require('assert');
+const vscode = require('vscode');
+const { BUILTIN_PRESETS, resolvePresetName, readPresetPatch } = require('../trailPresets');
+const { fakeConfig } = require('./fakeConfig');
+
+const { Light, Dark, HighContrast } = vscode.ColorThemeKind;
+
+suite('Trail presets', () => {
+	test('presetByTheme wins over preset, preset over presetByThemeKind', () => {
+		const values = {
+			presetByTheme: { 'Solarized Light': 'subtle' },
+			preset: 'neon',
+			presetByThemeKind: { light: 'monochrome' }
+		};
+		assert.strictEqual(resolvePresetName(fakeConfig(values), Light, 'Solarized Light'), 'subtle');
+		assert.strictEqual(resolvePresetName(fakeConfig(values), Light, 'Quiet Light'), 'neon');
+		assert.strictEqual(resolvePresetName(fakeConfig({ ...values, preset: 'auto' }), Light, 'Quiet Light'), 'monochrome');
+	});
+
+	test('auto follows the theme kind defaults', () => {
+		assert.strictEqual(resolvePresetName(fakeConfig(), Light, 'Quiet Light'), 'light');
+		assert.strictEqual(resolvePresetName(fakeConfig(), Dark, 'Dark Modern'), 'default');
+		assert.strictEqual(resolvePresetName(fakeConfig(), HighContrast, 'Dark High Contrast'), 'high-contrast');
+		// Other kinds keep their defaults.
+		const config = fakeConfig({ presetByThemeKind: { light: 'subtle' } });
+		assert.strictEqual(resolvePresetName(config, Dark, 'Dark Modern'), 'default');
+	});
+
+	test('malformed presetByTheme and preset values are skipped', () => {
+		const config = fakeConfig({ presetByTheme: ['neon'], preset: 42 });
+		assert.strictEqual(resolvePresetName(config, Dark, 'Dark Modern'), 'default');
+		assert.strictEqual(resolvePresetName(fakeConfig({ presetByTheme: { 'Dark Modern': 7 } }), Dark, 'Dark Modern'), 'default');
+	});
+
+	test('custom presets shadow built-ins', () => {
+		const config = fakeConfig({ customPresets: { neon: { color: '#123456' } } });
+		assert.deepStrictEqual(readPresetPatch(config, 'neon'), { color: '#123456' });
+		assert.deepStrictEqual(readPresetPatch(config, 'subtle'), BUILTIN_PRESETS.subtle);
+	});
+
+	test('non-object custom presets fall back to the built-in', () => {
+		const config = fakeConfig({ customPresets: { neon: 'pink', mine: [1] } });
+		assert.deepStrictEqual(readPresetPatch(config, 'neon'), BUILTIN_PRESETS.neon);
+		assert.deepStrictEqual(readPresetPatch(config, 'mine'), {});
+	});
+
+	test('patches are copies', () => {
+		const patch = readPresetPatch(fakeConfig(), 'neon');
+		patch.shadow.enabled = false;
+		assert.strictEqual(BUILTIN_PRESETS.neon.shadow.enabled, true);
+	});
+});
@@ -0,0 +1,37 @@
+const assert = require('assert');
+const { readTrailSettings } = require('../trailSettings');
+const { fakeConfig } = require('./fakeConfig');
+
+// "none" names no preset, so only settings and overrides reach the patch.
+const NO_PRESET = { preset: 'none' };
+
+suite('Trail settings', () => {
+	test('unset settings are not forwarded', () => {
+		assert.deepStrictEqual(readTrailSettings(fakeConfig(NO_PRESET)), {});
+	});
+
+	test('settings map onto CFG paths', () => {
+		const patch = readTrailSettings(fakeConfig({ ...NO_PRESET, 'ttlMs': 300, 'shadow.enabled': false, 'style': 'comet' }));
+		assert.deepStrictEqual(patch, { trail: { ttlMs: 300, style: 'comet' }, shadow: { enabled: false } });
+	});
+
+	test('settings win over overrides, overrides over the preset', () => {
+		const patch = readTrailSettings(fakeConfig({
+			preset: 'team',
+			customPresets: { team: { color: '#111111', opacity: 0.5, trail: { ttlMs: 100 } } },
+			overrides: { opacity: 0.6, trail: { maxRects: 9 } },
+			color: '#222222'
+		}));
+		assert.deepStrictEqual(patch, { color: '#222222', opacity: 0.6, trail: { ttlMs: 100, maxRects: 9 } });
+	});
+
+	test('non-object overrides are dropped', () => {
+		for (const overrides of [[{ opacity: 0.2 }], 'opacity', 3, null]) {
+			assert.deepStrictEqual(readTrailSettings(fakeConfig({ ...NO_PRESET, overrides })), {});
+		}
+	});
+
+	test('null is an explicit value', () => {
+		assert.deepStrictEqual(readTrailSettings(fakeConfig({ ...NO_PRESET, 'jumpArc.color': null })), { jumpArc: { color: null } });
+	});
+});
@@ -0,0 +1,122 @@
+"use strict";
+
+const vscode = require("vscode");
+const { isPlainObject } = require("./configUtil");
+
+/**
+ * Trail theme presets
+ *
+ * A preset is a deep partial of the renderer CFG (cursorTrail.js), usually just the palette.
+ * Color values may be hex or VS Code theme color ids (e.g. `editorCursor.foreground`); the
+ * renderer resolves ids from the workbench's `--vscode-*` CSS variables.
+ *
+ * Preset selection (first match wins):
+ * 1) `velcursor.trail.presetByTheme[<active theme name>]`
+ * 2) `velcursor.trail.preset`, unless it is "auto"
+ * 3) `velcursor.trail.presetByThemeKind[<light|dark|highContrast|highContrastLight>]`
+ *
+ * Names resolve against `velcursor.trail.customPresets` first, then the built-ins.
+ */
+
+const AUTO_PRESET = "auto";
+
+/** @type {Record<string, Record<string, unknown>>} */
+const BUILTIN_PRESETS = {
+	// Renderer built-in palette.
+	"default": {},
+	"neon": {
+		color: "#FF2BD6",
+		opacity: 0.8,
+		shadow: { enabled: true, color: "#00F0FF", blurFactor: 1.4 },
+		box: { color: "#00F0FF", opacity: null }
+	},
+	"subtle": {
+		color: "editorCursor.foreground",
+		opacity: 0.28,
+		shadow: { enabled: false },
+		box: { color: null, opacity: 0.45 }
+	},
+	"monochrome": {
+		color: "editorCursor.foreground",
+		opacity: 0.55,
+		shadow: { enabled: true, color: null, blurFactor: 0.6 },
+		box: { color: null, opacity: null }
+	},
+	"light": {
+		color: "#C2185B",
+		opacity: 0.5,
+		shadow: { enabled: false },
+		box: { color: "#AD1457", opacity: 0.8 }
+	},
+	"high-contrast": {
+		color: "editorCursor.foreground",
+		opacity: 0.9,
+		shadow: { enabled: false },
+		box: { color: "contrastActiveBorder", opacity: 1, lineWidthPx: 2 }
+	}
+};
+
+/** Setting keys of `presetByThemeKind`, indexed by vscode.ColorThemeKind. */
+const THEME_KIND_KEYS = {
+	[vscode.ColorThemeKind.Light]: "light",
+	[vscode.ColorThemeKind.Dark]: "dark",
+	[vscode.ColorThemeKind.HighContrast]: "highContrast",
+	[vscode.ColorThemeKind.HighContrastLight]: "highContrastLight"
+};
+
+const DEFAULT_PRESET_BY_THEME_KIND = {
+	light: "light",
+	dark: "default",
+	highContrast: "high-contrast",
+	highContrastLight: "high-contrast"
+};
+
+/**
+ * Name of the active color theme. With `window.autoDetectColorScheme`, VS Code switches to the
+ * preferred light/dark theme without touching `workbench.colorTheme`.
+ * @param {vscode.ColorThemeKind} kind
+ */
+function activeThemeName(kind) {
+	const workbench = vscode.workspace.getConfiguration("workbench");
+	if (vscode.workspace.getConfiguration("window").get("autoDetectColorScheme", false)) {
+		if (kind === vscode.ColorThemeKind.Light) return workbench.get("preferredLightColorTheme", "");
+		if (kind === vscode.ColorThemeKind.Dark) return workbench.get("preferredDarkColorTheme", "");
+	}
+	return workbench.get("colorTheme", "");
+}
+
+/**
+ * @param {vscode.WorkspaceConfiguration} config `velcursor.trail` section
+ * @param {vscode.ColorThemeKind} [kind] of the active color theme
+ * @param {string} [themeName] of the active color theme
+ * @returns {string}
+ */
+function resolvePresetName(config, kind = vscode.window.activeColorTheme.kind, themeName = activeThemeName(kind)) {
+	const byTheme = config.get("presetByTheme", {});
+	if (isPlainObject(byTheme) && typeof byTheme[themeName] === "string") return byTheme[themeName];
+
+	const preset = config.get("preset", AUTO_PRESET);
+	if (typeof preset === "string" && preset !== AUTO_PRESET) return preset;
+
+	const byKind = { ...DEFAULT_PRESET_BY_THEME_KIND, ...config.get("presetByThemeKind", {}) };
+	return byKind[THEME_KIND_KEYS[kind]] ?? "default";
+}
+
+/**
+ * Preset patch, by default for the active color theme. Unknown names fall back to the renderer
+ * defaults.
+ * @param {vscode.WorkspaceConfiguration} config `velcursor.trail` section
+ * @param {string} [name]
+ * @returns {Record<string, unknown>}
+ */
+function readPresetPatch(config, name = resolvePresetName(config)) {
+	const custom = config.get("customPresets", {});
+	const preset = (isPlainObject(custom) && isPlainObject(custom[name])) ? custom[name] : BUILTIN_PRESETS[name];
+	return isPlainObject(preset) ? structuredClone(preset) : {};
+}
+
+module.exports = {
+	BUILTIN_PRESETS,
+	resolvePresetName,
+	readPresetPatch
+};
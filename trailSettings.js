@@ -0,0 +1,117 @@
+"use strict";
+
+const vscode = require("vscode");
+const trailPresets = require("./trailPresets");
+const { isPlainObject, explicitValue } = require("./configUtil");
+
+/**
+ * Trail settings model
+ *
+ * `velcursor.trail.*` settings map onto paths of the renderer's CFG object (cursorTrail.js).
+ * Only explicitly configured values are forwarded; unset keys keep the renderer defaults,
+ * so package.json defaults are documentation rather than a second source of truth.
+ *
+ * Merge order (later wins):
+ * 1) theme preset for the active color theme (see trailPresets.js)
+ * 2) `velcursor.trail.overrides` (free-form deep partial of CFG, for knobs without a setting)
+ * 3) individual `velcursor.trail.*` settings
+ *
+ * The renderer validates every leaf against its own defaults and ignores unknown keys.
+ */
+
+const CONFIG_SECTION = "velcursor.trail";
+const OVERRIDES_KEY = "overrides";
+
+/** Setting key (relative to `velcursor.trail`) -> renderer CFG path. */
+const TRAIL_SETTING_PATHS = {
+	"enabled": "enabled",
+	"color": "color",
+	"opacity": "opacity",
+	"style": "trail.style",
+	"colorRamp.mode": "colorRamp.mode",
+	"colorRamp.stops": "colorRamp.stops",
+	"colorRamp.hueCycleDegPerSec": "colorRamp.hueCycleDegPerSec",
+	"ttlMs": "trail.ttlMs",
+	"maxRects": "trail.maxRects",
+	"minMoveCharsForTrail": "trail.minMoveCharsForTrail",
+	"scrollCompensation": "motion.scrollCompensation",
+	"shadow.enabled": "shadow.enabled",
+	"shadow.color": "shadow.color",
+	"shadow.blurFactor": "shadow.blurFactor",
+	"box.color": "box.color",
+	"box.opacity": "box.opacity",
+	"box.padPx": "box.padPx",
+	"box.radiusPx": "box.radiusPx",
+	"box.lineWidthPx": "box.lineWidthPx",
+	"overshoot.enabled": "overshoot.enabled",
+	"overshoot.kickPerPx": "overshoot.kickPerPx",
+	"overshoot.gain": "overshoot.gain",
+	"animation.length": "animation.length",
+	"inertia.enabled": "inertia.enabled",
+	"inertia.ttlGain": "inertia.ttlGain",
+	"inertia.widthGain": "inertia.widthGain",
+	"inertia.selectColor": "inertia.selectColor",
+	"caretClasses.enabled": "caretClasses.enabled",
+	"caretClasses.profiles": "caretClasses.profiles",
+	"particles.enabled": "particles.enabled",
+	"particles.maxParticles": "particles.maxParticles",
+	"particles.color": "particles.color",
+	"particles.typingEnabled": "particles.typingEnabled",
+	"jumpArc.enabled": "jumpArc.enabled",
+	"jumpArc.minDistanceFactor": "jumpArc.minDistanceFactor",
+	"jumpArc.replaceTrail": "jumpArc.replaceTrail",
+	"jumpArc.color": "jumpArc.color",
+	"offscreen.enabled": "offscreen.enabled",
+	"offscreen.clickToReveal": "offscreen.clickToReveal",
+	"groups.inactiveBoxOpacity": "groups.inactiveBoxOpacity",
+	"sources.editor": "sources.editor",
+	"sources.diffModified": "sources.diffModified",
+	"sources.diffOriginal": "sources.diffOriginal",
+	"sources.notebook": "sources.notebook",
+	"sources.terminal": "sources.terminal",
+	"caret.mode": "caret.mode",
+	"caret.shape": "caret.shape",
+	"caret.blink": "caret.blink",
+	"caret.smooth": "caret.smooth",
+	"caret.color": "caret.color"
+};
+
+function mergeInto(target, patch) {
+	for (const [key, value] of Object.entries(patch)) {
+		if (isPlainObject(value) && isPlainObject(target[key])) mergeInto(target[key], value);
+		else target[key] = structuredClone(value);
+	}
+	return target;
+}
+
+function setPath(target, path, value) {
+	const keys = path.split(".");
+	let node = target;
+	for (let i = 0; i < keys.length - 1; i++) {
+		if (!isPlainObject(node[keys[i]])) node[keys[i]] = {};
+		node = node[keys[i]];
+	}
+	node[keys[keys.length - 1]] = value;
+}
+
+/**
+ * @param {vscode.WorkspaceConfiguration} [config] `velcursor.trail` section
+ * @returns {Record<string, unknown>} deep partial of the renderer CFG
+ */
+function readTrailSettings(config = vscode.workspace.getConfiguration(CONFIG_SECTION)) {
+	const overrides = explicitValue(config, OVERRIDES_KEY);
+	const patch = trailPresets.readPresetPatch(config);
+	if (isPlainObject(overrides)) mergeInto(patch, overrides);
+
+	for (const [key, path] of Object.entries(TRAIL_SETTING_PATHS)) {
+		const value = explicitValue(config, key);
+		if (value !== undefined) setPath(patch, path, value);
+	}
+
+	return patch;
+}
+
+module.exports = {
+	CONFIG_SECTION,
+	readTrailSettings
+};